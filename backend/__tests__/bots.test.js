@@ -0,0 +1,59 @@
+// Computer players (backend/bots.js). Randomness is injected so picks are deterministic.
+const bots = require('../bots');
+
+const CITIES = ['Berlin', 'Bonn', 'Boston', 'Barcelona', 'Bangalore', 'Paris', 'New Bern'];
+
+function fixed(...values){
+  let i = 0;
+  return () => values[Math.min(i++, values.length - 1)];
+}
+
+describe('pickAnswer', () => {
+  test('only answers that could score for the letter', () => {
+    for(let r = 0; r < 1; r += 0.1){
+      const answer = bots.pickAnswer(CITIES, 'b', 1, () => r);
+      expect(['Bonn', 'Berlin', 'Boston', 'Bangalore', 'Barcelona']).toContain(answer);
+    }
+  });
+
+  test('low obscurity stays with the shortest, most obvious answers', () => {
+    expect(bots.pickAnswer(CITIES, 'b', 0, () => 0.99)).toBe('Bonn');
+    expect(bots.pickAnswer(CITIES, 'b', 1, () => 0.99)).toBe('Barcelona');
+  });
+
+  test('capitalizes list words and gives up when nothing fits', () => {
+    expect(bots.pickAnswer(['berlin'], 'b', 1, () => 0)).toBe('Berlin');
+    expect(bots.pickAnswer(CITIES, 'x', 1, () => 0)).toBe('');
+  });
+});
+
+describe('botAnswers', () => {
+  const wordsFor = cat => (cat === 'City' ? CITIES : []);
+
+  test('answers categories with a word list when the chance roll succeeds', () => {
+    const answers = bots.botAnswers({ categories: ['City', 'Name'], letter: 'B', difficulty: 'hard', wordsFor, random: fixed(0.1, 0) });
+    expect(answers).toEqual({ City: 'Bonn', Name: '' });
+  });
+
+  test('skips a category when the chance roll fails', () => {
+    const answers = bots.botAnswers({ categories: ['City'], letter: 'B', difficulty: 'easy', wordsFor, random: () => 0.9 });
+    expect(answers).toEqual({ City: '' });
+  });
+});
+
+describe('submitDelayMs', () => {
+  test('is a share of the time limit, slower for easier bots', () => {
+    expect(bots.submitDelayMs('hard', 60, () => 0)).toBe(15000);
+    expect(bots.submitDelayMs('easy', 60, () => 0)).toBe(42000);
+  });
+
+  test('falls back to a reference round length and the default difficulty', () => {
+    expect(bots.submitDelayMs('unknown', 0, () => 1)).toBe(bots.submitDelayMs(bots.DEFAULT_DIFFICULTY, 90, () => 1));
+  });
+});
+
+describe('botName', () => {
+  test('picks the first free name', () => {
+    expect(bots.botName(['ada', 'Sam'])).toBe('Babbage');
+  });
+});
@@ -0,0 +1,21 @@
+// Chat profanity filter (backend/profanity.js).
+const { clean } = require('../profanity');
+
+describe('clean', () => {
+  test('masks whole swear words, keeping the first letter', () => {
+    expect(clean('well shit that was hard')).toBe('well s*** that was hard');
+  });
+
+  test('is case-insensitive and keeps the original casing of the first letter', () => {
+    expect(clean('FUCK')).toBe('F***');
+  });
+
+  test('leaves words that merely contain one alone', () => {
+    expect(clean('Scunthorpe assistant classic')).toBe('Scunthorpe assistant classic');
+  });
+
+  test('handles empty input', () => {
+    expect(clean('')).toBe('');
+    expect(clean(undefined)).toBe('');
+  });
+});
@@ -0,0 +1,287 @@
+// Scoring engine rules (backend/scoring.js). Pure functions only: no database needed.
+const scoring = require('../scoring');
+
+const SUBMITTED = '2024-01-01T10:00:00Z';
+
+function entry(answers, extra = {}){
+  return { answers, submittedAt: SUBMITTED, ...extra };
+}
+
+function play(entries, options = {}){
+  return scoring.scoreRound({
+    letter: 'B',
+    categories: ['City', 'Animal'],
+    playerIds: Object.keys(entries),
+    entries,
+    ...options
+  });
+}
+
+function answerOf(result, playerId, category){
+  return result.answers.find(a => a.playerId === playerId && a.category === category);
+}
+
+describe('rejectReason', () => {
+  test.each([
+    ['', 'empty'],
+    ['   ', 'empty'],
+    ['Bo', 'too-short'],
+    ['B4ngalore', 'not-alphabetic'],
+    ['Bern!', 'not-alphabetic'],
+    ['-Bern', 'not-alphabetic'],
+    ['B b', 'too-short'],
+    ['bbbb', 'repeated'],
+    ['Mumbai', 'wrong-letter'],
+    ['  berlin ', null],
+    ['BERLIN', null],
+    ['Buenos   Aires', null],
+    ['Baden-Baden', null],
+    ["Bo'ness", null],
+    ['Bâle', null]
+  ])('%p -> %p', (answer, reason) => {
+    expect(scoring.rejectReason(answer, 'b')).toBe(reason);
+  });
+
+  test('any letter when the round has none', () => {
+    expect(scoring.rejectReason('Mumbai', '')).toBeNull();
+  });
+
+  test('letters of any script', () => {
+    expect(scoring.rejectReason('कमल', 'क')).toBeNull();
+    expect(scoring.rejectReason('Москва', 'м')).toBeNull();
+    expect(scoring.rejectReason('Москва', 'к')).toBe('wrong-letter');
+  });
+
+  test("accented initials count as their base letter unless they are a letter of the room's alphabet", () => {
+    const spanish = 'ABCDEFGHIJKLMNÑOPQRSTUVWXYZ'.split('');
+    expect(scoring.rejectReason('Émile', 'e')).toBeNull();
+    expect(scoring.rejectReason('Ángel', 'A', spanish)).toBeNull();
+    expect(scoring.rejectReason('Ñandú', 'N')).toBeNull();
+    expect(scoring.rejectReason('Ñandú', 'N', spanish)).toBe('wrong-letter');
+    expect(scoring.rejectReason('ñandú', 'Ñ', spanish)).toBeNull();
+  });
+});
+
+describe('scoreRound', () => {
+  test('unique, shared and only answers', () => {
+    const result = play({
+      p1: entry({ City: 'Berlin', Animal: 'Bear' }),
+      p2: entry({ City: 'berlin', Animal: '' }),
+      p3: entry({ City: 'Boston', Animal: '' })
+    });
+    expect(answerOf(result, 'p1', 'City')).toMatchObject({ valid: true, unique: false, points: 5 });
+    expect(answerOf(result, 'p3', 'City')).toMatchObject({ valid: true, unique: true, points: 10 });
+    expect(answerOf(result, 'p1', 'Animal')).toMatchObject({ valid: true, unique: true, points: 10 });
+    expect(answerOf(result, 'p2', 'Animal')).toMatchObject({ valid: false, rejected: 'empty', points: 0 });
+    expect(result.scores).toEqual({ p1: 15, p2: 5, p3: 10 });
+  });
+
+  test('custom rules override the defaults', () => {
+    const result = play({
+      p1: entry({ City: 'Berlin', Animal: 'Bear' }),
+      p2: entry({ City: 'Berlin', Animal: 'Bison' })
+    }, { rules: { unique: 7, shared: 2, onlyAnswer: 20 } });
+    expect(result.scores).toEqual({ p1: 2 + 7, p2: 2 + 7 });
+
+    const alone = play({ p1: entry({ City: 'Berlin' }), p2: entry({}) }, { rules: { onlyAnswer: 20 } });
+    expect(alone.scores).toEqual({ p1: 20, p2: 0 });
+  });
+
+  test('answers not starting with the letter or repeating one character score nothing', () => {
+    const result = play({
+      p1: entry({ City: 'Paris', Animal: 'bbbbb' }),
+      p2: entry({ City: 'Bonn', Animal: 'Bat' })
+    });
+    expect(answerOf(result, 'p1', 'City')).toMatchObject({ valid: false, rejected: 'wrong-letter' });
+    expect(answerOf(result, 'p1', 'Animal')).toMatchObject({ valid: false, rejected: 'repeated' });
+    expect(result.scores).toEqual({ p1: 0, p2: 20 });
+  });
+
+  test('invalidated answers leave the group and cost the penalty', () => {
+    const entries = {
+      p1: entry({ City: 'Berlin' }, { invalid: { City: true } }),
+      p2: entry({ City: 'Berlin' }),
+      p3: entry({ City: 'Bonn' })
+    };
+    const result = play(entries, { rules: { invalidPenalty: 3 } });
+    expect(answerOf(result, 'p1', 'City')).toMatchObject({ valid: false, invalid: true, rejected: 'invalidated', points: -3 });
+    expect(answerOf(result, 'p2', 'City')).toMatchObject({ unique: true, points: 10 });
+    expect(result.scores).toEqual({ p1: -3, p2: 10, p3: 10 });
+
+    // no penalty configured: an invalidated answer is simply worth 0
+    expect(answerOf(play(entries), 'p1', 'City').points).toBe(0);
+  });
+
+  test('an empty answer flagged invalid is not penalised', () => {
+    const result = play({ p1: entry({ City: '' }, { invalid: { City: true } }) }, { rules: { invalidPenalty: 3 } });
+    expect(result.scores.p1).toBe(0);
+  });
+
+  test('strict dictionary rejects unknown answers, advisory only reports them', () => {
+    const verdict = (category, answer) => (answer === 'berlin' ? 'verified' : 'unknown');
+    const entries = { p1: entry({ City: 'Berlin' }), p2: entry({ City: 'Bzzville' }) };
+
+    const strict = play(entries, { verdict, strict: true });
+    expect(answerOf(strict, 'p1', 'City')).toMatchObject({ valid: true, dictionary: 'verified' });
+    expect(answerOf(strict, 'p2', 'City')).toMatchObject({ valid: false, rejected: 'dictionary', dictionary: 'unknown' });
+    expect(strict.scores).toEqual({ p1: 10, p2: 0 });
+
+    const advisory = play(entries, { verdict });
+    expect(answerOf(advisory, 'p2', 'City')).toMatchObject({ valid: true, dictionary: 'unknown' });
+    expect(advisory.scores).toEqual({ p1: 10, p2: 10 });
+  });
+
+  test('plurals and typos are merged before uniqueness is judged', () => {
+    const result = play({
+      p1: entry({ Animal: 'Bears' }),
+      p2: entry({ Animal: 'bear' }),
+      p3: entry({ City: 'Barcelona' }),
+      p4: entry({ City: 'Barcelonna' })
+    }, { fuzzyThreshold: 1 });
+    expect(result.scores).toEqual({ p1: 5, p2: 5, p3: 5, p4: 5 });
+    expect(result.merges.Animal[0].variants.sort()).toEqual(['bear', 'bears']);
+    expect(result.merges.City).toHaveLength(1);
+
+    const exact = play({ p3: entry({ City: 'Barcelona' }), p4: entry({ City: 'Barcelonna' }) }, { fuzzyThreshold: 0 });
+    expect(exact.scores).toEqual({ p3: 10, p4: 10 });
+  });
+
+  test('answers differing only in accents, case, hyphens or apostrophes are the same answer', () => {
+    const result = play({
+      p1: entry({ City: 'Bogotá', Animal: 'Black-bear' }),
+      p2: entry({ City: 'bogota', Animal: 'black bear' }),
+      p3: entry({ City: 'Bâle', Animal: "Bear's" })
+    });
+    expect(result.scores).toEqual({ p1: 10, p2: 10, p3: 20 });
+    expect(result.merges.City[0].variants.sort()).toEqual(['bogota', 'bogotá']);
+  });
+
+  test('listed words are never typo-merged, typos of a listed word still are', () => {
+    const listed = ['mouse', 'moose', 'barcelona'];
+    const isWord = (category, answer) => listed.includes(answer);
+    const result = play({
+      p1: entry({ Animal: 'Mouse', City: 'Barcelona' }),
+      p2: entry({ Animal: 'Moose', City: 'Barcelonna' })
+    }, { letter: '', fuzzyThreshold: 1, isWord });
+    expect(result.merges.Animal).toBeUndefined();
+    expect(result.merges.City).toHaveLength(1);
+    expect(result.scores).toEqual({ p1: 15, p2: 15 });
+  });
+
+  test('typo merging is off by default', () => {
+    const result = play({ p1: entry({ Animal: 'Bear' }), p2: entry({ Animal: 'Beer' }) });
+    expect(result.merges).toEqual({});
+  });
+
+  test('answers the host split off are not merged', () => {
+    const result = play({
+      p1: entry({ Animal: 'Bears' }, { unmerged: { Animal: true } }),
+      p2: entry({ Animal: 'bear' })
+    });
+    expect(result.scores).toEqual({ p1: 10, p2: 10 });
+    expect(result.merges).toEqual({});
+  });
+
+  test('speed bonus goes to the first submitter only if they scored', () => {
+    const entries = {
+      p1: entry({ City: 'Berlin' }, { submittedAt: '2024-01-01T10:00:05Z' }),
+      p2: entry({ City: 'Bonn' }, { submittedAt: '2024-01-01T10:00:01Z' })
+    };
+    const result = play(entries, { rules: { speedBonus: 4 } });
+    expect(result.speedBonus).toEqual({ playerId: 'p2', points: 4 });
+    expect(result.scores).toEqual({ p1: 10, p2: 14 });
+
+    entries.p2.answers.City = 'Paris';
+    const none = play(entries, { rules: { speedBonus: 4 } });
+    expect(none.speedBonus).toBeNull();
+    expect(none.scores).toEqual({ p1: 10, p2: 0 });
+  });
+
+  test('drafts never count as the first submission', () => {
+    const result = play({
+      p1: { answers: { City: 'Berlin' } },
+      p2: entry({ City: 'Bonn' })
+    }, { rules: { speedBonus: 4 } });
+    expect(result.speedBonus).toEqual({ playerId: 'p2', points: 4 });
+  });
+
+  test('the multiplier doubles answers, penalties and the speed bonus', () => {
+    const result = play({
+      p1: entry({ City: 'Berlin', Animal: 'Bear' }, { invalid: { Animal: true } }),
+      p2: entry({ City: 'Berlin' }, { submittedAt: '2024-01-01T10:00:09Z' })
+    }, { rules: { speedBonus: 2, invalidPenalty: 1 }, multiplier: 2 });
+    expect(answerOf(result, 'p1', 'City').points).toBe(10);
+    expect(answerOf(result, 'p1', 'Animal').points).toBe(-2);
+    expect(result.speedBonus).toEqual({ playerId: 'p1', points: 4 });
+    expect(result.scores).toEqual({ p1: 10 - 2 + 4, p2: 10 });
+  });
+
+  test('entries of players no longer in the room are ignored', () => {
+    const result = scoring.scoreRound({
+      letter: 'B',
+      categories: ['City'],
+      playerIds: ['p1'],
+      entries: { p1: entry({ City: 'Berlin' }), gone: entry({ City: 'Berlin' }), _scored: true }
+    });
+    expect(result.scores).toEqual({ p1: 10 });
+    expect(result.answers).toHaveLength(1);
+  });
+
+  test('per-answer points plus the speed bonus add up to the round score', () => {
+    const result = play({
+      p1: entry({ City: 'Berlin', Animal: 'Bear' }),
+      p2: entry({ City: 'Bonn', Animal: 'bear' }, { invalid: { City: true } }),
+      p3: entry({ City: 'Boston', Animal: 'Bison' })
+    }, { rules: { speedBonus: 3, invalidPenalty: 2 } });
+    Object.keys(result.scores).forEach(pid => {
+      const sum = result.answers.filter(a => a.playerId === pid).reduce((n, a) => n + a.points, 0);
+      const bonus = result.speedBonus && result.speedBonus.playerId === pid ? result.speedBonus.points : 0;
+      expect(result.scores[pid]).toBe(sum + bonus);
+    });
+  });
+});
+
+describe('scoreRound in team mode', () => {
+  const teams = { p1: 'Red', p2: 'Red', p3: 'Blue', p4: 'Blue' };
+
+  test('teammates giving the same answer are not penalised; uniqueness is judged across teams', () => {
+    const result = play({
+      p1: entry({ City: 'Berlin' }),
+      p2: entry({ City: 'berlin' }),
+      p3: entry({ City: 'Boston' }),
+      p4: entry({ City: '' })
+    }, { teams, categories: ['City'] });
+    expect(answerOf(result, 'p1', 'City')).toMatchObject({ team: 'Red', unique: true, counted: true, points: 10 });
+    expect(answerOf(result, 'p2', 'City')).toMatchObject({ team: 'Red', unique: true, counted: false, points: 0 });
+    expect(answerOf(result, 'p3', 'City')).toMatchObject({ team: 'Blue', unique: true, counted: true, points: 10 });
+    expect(result.teamScores).toEqual({ Red: 10, Blue: 10 });
+  });
+
+  test("only the team's best answer in a category counts", () => {
+    const result = play({
+      p1: entry({ City: 'Boston' }),
+      p2: entry({ City: 'Berlin' }),
+      p3: entry({ City: 'Boston' }),
+      p4: entry({ City: '' })
+    }, { teams, categories: ['City'] });
+    // Boston is shared with Blue (5), Berlin is unique (10): p2's answer counts for Red
+    expect(answerOf(result, 'p1', 'City')).toMatchObject({ points: 0, counted: false });
+    expect(answerOf(result, 'p2', 'City')).toMatchObject({ points: 10, counted: true });
+    expect(result.scores).toEqual({ p1: 0, p2: 10, p3: 5, p4: 0 });
+    expect(result.teamScores).toEqual({ Red: 10, Blue: 5 });
+  });
+
+  test('a category only one team answered is worth the only-answer points', () => {
+    const result = play({
+      p1: entry({ City: 'Berlin' }),
+      p2: entry({ City: 'Bonn' }),
+      p3: entry({}),
+      p4: entry({})
+    }, { teams, categories: ['City'], rules: { onlyAnswer: 15 } });
+    expect(result.teamScores).toEqual({ Red: 15, Blue: 0 });
+  });
+
+  test('no team scores outside team mode', () => {
+    expect(play({ p1: entry({ City: 'Berlin' }) }).teamScores).toBeNull();
+  });
+});
@@ -0,0 +1,49 @@
+// backend/alphabets.js
+// Alphabets a room can play with. The room's alphabet is where round letters are drawn from,
+// and it decides which accented initials count as a letter of their own: in Spanish "Ñandú"
+// is an Ñ answer, in English "Émile" is an E answer (see scoring.rejectReason).
+//
+// `hard` letters are the ones dropped by the 'no-hard' letter preset.
+const ALPHABETS = {
+  english: {
+    label: 'English',
+    letters: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ'.split(''),
+    hard: ['Q', 'U', 'V', 'X', 'Y', 'Z']
+  },
+  spanish: {
+    label: 'Spanish',
+    letters: 'ABCDEFGHIJKLMNÑOPQRSTUVWXYZ'.split(''),
+    hard: ['K', 'Ñ', 'Q', 'W', 'X', 'Y']
+  },
+  german: {
+    label: 'German',
+    letters: 'ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÜ'.split(''),
+    hard: ['Q', 'X', 'Y', 'Ä', 'Ö', 'Ü']
+  },
+  devanagari: {
+    label: 'Devanagari',
+    letters: [
+      'अ', 'आ', 'इ', 'ई', 'उ', 'ऊ', 'ऋ', 'ए', 'ऐ', 'ओ', 'औ',
+      'क', 'ख', 'ग', 'घ', 'ङ', 'च', 'छ', 'ज', 'झ', 'ञ', 'ट', 'ठ', 'ड', 'ढ', 'ण',
+      'त', 'थ', 'द', 'ध', 'न', 'प', 'फ', 'ब', 'भ', 'म', 'य', 'र', 'ल', 'व', 'श', 'ष', 'स', 'ह'
+    ],
+    hard: ['ऋ', 'ङ', 'ञ', 'ण', 'ढ', 'ऐ', 'औ']
+  }
+};
+const DEFAULT_ALPHABET = 'english';
+
+function alphabetOf(name){
+  return ALPHABETS[name] || ALPHABETS[DEFAULT_ALPHABET];
+}
+
+// the letters of an alphabet (the default one for unknown / unset names)
+function letters(name){
+  return alphabetOf(name).letters;
+}
+
+// letters a preset drops from the alphabet ('all' drops none)
+function presetExcludes(name, preset){
+  return preset === 'no-hard' ? alphabetOf(name).hard : [];
+}
+
+module.exports = { ALPHABETS, DEFAULT_ALPHABET, letters, presetExcludes };
@@ -0,0 +1,67 @@
+// backend/bots.js
+// Computer players for solo / practice games. Bots answer from the category word lists
+// (dictionary.js) and are scored like everyone else, so shared and unique points come out the
+// way they would against people. Pure: word lists, letter, alphabet and randomness come in as
+// arguments.
+//
+// Difficulty knobs:
+//   answerChance  chance of answering each category that has a word list
+//   obscurity     0..1, how far down the list of candidates (shortest, most obvious first) the bot
+//                 reaches: low = common answers that often get shared, high = rarer unique ones
+//   submitDelay   [min, max] fraction of the round (time limit, or REFERENCE_SECONDS without one)
+//                 before the bot submits
+const scoring = require('./scoring');
+
+const DIFFICULTIES = {
+  easy: { answerChance: 0.5, obscurity: 0.2, submitDelay: [0.7, 0.95] },
+  medium: { answerChance: 0.75, obscurity: 0.5, submitDelay: [0.45, 0.75] },
+  hard: { answerChance: 0.95, obscurity: 0.9, submitDelay: [0.25, 0.5] }
+};
+const DEFAULT_DIFFICULTY = 'medium';
+const REFERENCE_SECONDS = 90; // round length bots pace themselves to when there is no time limit
+const BOT_NAMES = ['Ada', 'Babbage', 'Turing', 'Hopper', 'Lovelace', 'Hal', 'Marvin', 'Robby'];
+
+function difficultyOf(name){
+  return DIFFICULTIES[name] || DIFFICULTIES[DEFAULT_DIFFICULTY];
+}
+
+// first bot name nobody in the room uses yet
+function botName(takenNames){
+  const taken = new Set((takenNames || []).map(n => String(n).toLowerCase()));
+  const name = BOT_NAMES.find(n => !taken.has(n.toLowerCase()));
+  return name || `Bot ${taken.size + 1}`;
+}
+
+function capitalize(word){
+  return word.replace(/(^|\s)\S/g, c => c.toUpperCase());
+}
+
+// one answer for `letter` out of `words`, or '' when none fits (`alphabet`: see scoring.rejectReason)
+function pickAnswer(words, letter, obscurity, random = Math.random, alphabet = null){
+  const candidates = (words || [])
+    .filter(w => !scoring.rejectReason(w, letter, alphabet))
+    .sort((a, b) => a.length - b.length || a.localeCompare(b));
+  if(!candidates.length) return '';
+  const reach = Math.max(1, Math.round(candidates.length * Math.min(1, Math.max(0, obscurity))));
+  return capitalize(candidates[Math.floor(random() * reach)]);
+}
+
+// a bot's answers for one round: { Category: text }; categories without a word list stay blank
+function botAnswers({ categories = [], letter = '', alphabet = null, difficulty, wordsFor, random = Math.random }){
+  const d = difficultyOf(difficulty);
+  const answers = {};
+  categories.forEach(cat => {
+    const words = wordsFor(cat);
+    answers[cat] = (words && words.length && random() < d.answerChance) ? pickAnswer(words, letter, d.obscurity, random, alphabet) : '';
+  });
+  return answers;
+}
+
+// ms after the round starts at which the bot submits
+function submitDelayMs(difficulty, timeLimitSeconds, random = Math.random){
+  const [min, max] = difficultyOf(difficulty).submitDelay;
+  const seconds = timeLimitSeconds || REFERENCE_SECONDS;
+  return Math.round((min + (max - min) * random()) * seconds * 1000);
+}
+
+module.exports = { DIFFICULTIES, DEFAULT_DIFFICULTY, botName, pickAnswer, botAnswers, submitDelayMs };
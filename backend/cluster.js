@@ -0,0 +1,23 @@
+// backend/cluster.js
+// Several backend instances behind a load balancer. With REDIS_URL set, socket.io uses the
+// Redis adapter: io.to(roomId).emit reaches clients connected to any instance, and instances
+// can message each other with io.serverSideEmit (server.js uses that to keep their answersMap
+// caches in sync). Without REDIS_URL the backend runs as a single instance with socket.io's
+// default in-memory adapter.
+const { createClient } = require('redis');
+const { createAdapter } = require('@socket.io/redis-adapter');
+
+// resolves true once the Redis adapter is in place, false when running single-instance
+async function attachAdapter(io, url){
+  if(!url) return false;
+  const pub = createClient({ url });
+  const sub = pub.duplicate();
+  pub.on('error', err => console.error('redis pub error', err.message));
+  sub.on('error', err => console.error('redis sub error', err.message));
+  await Promise.all([pub.connect(), sub.connect()]);
+  io.adapter(createAdapter(pub, sub));
+  console.log('Redis adapter attached', url);
+  return true;
+}
+
+module.exports = { attachAdapter };
@@ -0,0 +1,63 @@
+// backend/dictionary.js
+// Category word lists used to check answers. Every file in the dictionary directory is one
+// category, named after it (case-insensitive): city.json (array of strings) or city.csv /
+// city.txt (one answer per line, first column). Files can be bundled in ./wordlists or
+// mounted into the container and pointed to with DICTIONARY_DIR.
+const fs = require('fs');
+const path = require('path');
+const matching = require('./matching');
+
+const VALIDATION_MODES = ['off', 'advisory', 'strict'];
+const EXTENSIONS = ['.json', '.csv', '.txt'];
+
+// lowercased category -> Map of lookup key (matching.normalize: accents, hyphens, ... folded) -> answer
+const lists = {};
+
+function normalizeWord(w){
+  return String(w || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+function parseFile(file){
+  const raw = fs.readFileSync(file, 'utf8');
+  if(file.toLowerCase().endsWith('.json')) return JSON.parse(raw);
+  return raw.split(/\r?\n/).map(line => line.split(',')[0].trim().replace(/^"|"$/g, ''));
+}
+
+// load (or add to) the word lists found in `dir`; missing dir just means no lists
+function loadDictionaries(dir){
+  if(!dir || !fs.existsSync(dir)){ console.log('No dictionary dir', dir); return; }
+  fs.readdirSync(dir).forEach(f => {
+    const ext = path.extname(f).toLowerCase();
+    if(!EXTENSIONS.includes(ext)) return;
+    const cat = path.basename(f, ext).toLowerCase();
+    try {
+      const words = parseFile(path.join(dir, f)).map(normalizeWord).filter(Boolean);
+      lists[cat] = lists[cat] || new Map();
+      words.forEach(w => {
+        const key = matching.normalize(w);
+        if(!lists[cat].has(key)) lists[cat].set(key, w);
+      });
+    } catch(e){ console.error('dictionary load error', f, e.message); }
+  });
+  console.log('Dictionaries loaded:', Object.keys(lists).map(c => `${c}(${lists[c].size})`).join(', ') || 'none');
+}
+
+// 'verified' | 'unknown', or null when the category has no word list
+function lookup(category, answer){
+  const list = lists[String(category || '').toLowerCase()];
+  if(!list) return null;
+  return list.has(matching.normalize(answer)) ? 'verified' : 'unknown';
+}
+
+// categories (lowercased) that have a word list
+function listedCategories(){
+  return Object.keys(lists);
+}
+
+// every word of a category's list (normalized), [] when it has none; bots answer from these
+function words(category){
+  const list = lists[String(category || '').toLowerCase()];
+  return list ? [...list.values()] : [];
+}
+
+module.exports = { VALIDATION_MODES, loadDictionaries, lookup, listedCategories, words };
@@ -0,0 +1,115 @@
+// backend/matching.js
+// Groups answers that mean the same thing before uniqueness is judged:
+// - normalization (case, accents, surrounding/double spaces, hyphens, apostrophes:
+//   "São Paulo" = "sao paulo", "Jean-Luc" = "jean luc", "O'Brien" = "obrien")
+// - plural stripping ("tigers" -> "tiger", "cities" -> "city", "polar bears" -> "polar bear")
+// - alias table of known variants (aliases.json: [["bangalore", "bengaluru"], ...], first entry wins)
+// - edit distance up to the room's threshold for typos ("banglore" ~ "bangalore"), never between
+//   two words that are both in the category's word list ("mouse" and "moose" are different animals)
+const fs = require('fs');
+
+const MIN_FUZZY_LENGTH = 5; // shorter words are too close to each other ("cat"/"car") for typo merging
+const MAX_FUZZY_THRESHOLD = 3;
+
+// variant -> canonical form
+let aliases = {};
+
+// strip accents ("Zürich" -> "Zurich"); only the Latin combining accents, so the vowel signs of
+// scripts like Devanagari are kept
+function foldAccents(v){
+  return String(v || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').normalize('NFC');
+}
+
+function normalize(v){
+  return foldAccents(v).trim().toLowerCase().replace(/['’]/g, '').replace(/[\s-]+/g, ' ');
+}
+
+// strip an English plural from the last word
+function singular(v){
+  return v.replace(/([a-z]{2,}?)(ies|es|s)$/, (m, stem, suffix) => {
+    if(suffix === 'ies') return stem + 'y';
+    if(suffix === 'es') return /(ss|x|z|ch|sh)$/.test(stem) ? stem : stem + 'e';
+    return /[siu]$/.test(stem) ? m : stem; // "glass", "paris", "walrus" stay
+  });
+}
+
+function loadAliases(file){
+  aliases = {};
+  if(!file || !fs.existsSync(file)){ console.log('No alias table', file); return; }
+  try {
+    JSON.parse(fs.readFileSync(file, 'utf8')).forEach(group => {
+      const canon = normalize(group[0]);
+      group.forEach(v => { aliases[normalize(v)] = canon; });
+    });
+    console.log('Aliases loaded:', Object.keys(aliases).length);
+  } catch(e){ console.error('alias load error', e.message); }
+}
+
+// canonical key of an answer
+function canonical(v){
+  const n = normalize(v);
+  if(aliases[n]) return aliases[n];
+  const s = singular(n);
+  return aliases[s] || s;
+}
+
+// Levenshtein distance, giving up (returns max + 1) once it exceeds `max`
+function editDistance(a, b, max){
+  if(Math.abs(a.length - b.length) > max) return max + 1;
+  let prev = Array.from({ length: b.length + 1 }, (x, i) => i);
+  for(let i = 1; i <= a.length; i++){
+    const cur = [i];
+    let rowMin = i;
+    for(let j = 1; j <= b.length; j++){
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      rowMin = Math.min(rowMin, cur[j]);
+    }
+    if(rowMin > max) return max + 1;
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+// Merge one category's answers { answerText: [playerId, ...] } into groups of equivalent answers.
+// `pinned` answer texts (split by the host) only ever group with the exact same text.
+// `isWord(key)` (optional) tells whether a canonical key is a listed word; two listed words are never typo-merged.
+// Returns { buckets: { groupKey: [playerId, ...] }, groupOf: { answerText: groupKey },
+//           merges: [{ key, variants: [answerText, ...], playerIds }] } (merges = groups of 2+ variants)
+function mergeAnswers(byText, { threshold = 0, pinned = new Set(), isWord = null } = {}){
+  const groups = {}; // key -> { variants: [], players: [] }
+  const groupOf = {};
+  Object.keys(byText).forEach(text => {
+    const key = pinned.has(text) ? `=${text}` : canonical(text);
+    if(!groups[key]) groups[key] = { variants: [], players: [] };
+    groups[key].variants.push(text);
+    groups[key].players.push(...byText[text]);
+    groupOf[text] = key;
+  });
+
+  // typo merging between canonical keys (pinned groups stay out)
+  const limit = Math.min(Math.max(parseInt(threshold, 10) || 0, 0), MAX_FUZZY_THRESHOLD);
+  if(limit > 0){
+    const keys = Object.keys(groups).filter(k => k[0] !== '=' && k.length >= MIN_FUZZY_LENGTH).sort();
+    for(let i = 0; i < keys.length; i++){
+      if(!groups[keys[i]]) continue;
+      for(let j = i + 1; j < keys.length; j++){
+        if(!groups[keys[j]] || editDistance(keys[i], keys[j], limit) > limit) continue;
+        if(isWord && isWord(keys[i]) && isWord(keys[j])) continue;
+        groups[keys[i]].variants.push(...groups[keys[j]].variants);
+        groups[keys[i]].players.push(...groups[keys[j]].players);
+        groups[keys[j]].variants.forEach(t => { groupOf[t] = keys[i]; });
+        delete groups[keys[j]];
+      }
+    }
+  }
+
+  const buckets = {};
+  const merges = [];
+  Object.keys(groups).forEach(key => {
+    buckets[key] = groups[key].players;
+    if(groups[key].variants.length > 1) merges.push({ key, variants: groups[key].variants, playerIds: groups[key].players });
+  });
+  return { buckets, groupOf, merges };
+}
+
+module.exports = { MAX_FUZZY_THRESHOLD, loadAliases, foldAccents, normalize, canonical, editDistance, mergeAnswers };
@@ -0,0 +1,15 @@
+// backend/models/ChatMessage.js
+const mongoose = require('mongoose');
+
+// One in-room chat line. The last CHAT_HISTORY messages of a room are sent to whoever joins.
+const chatMessageSchema = new mongoose.Schema({
+  roomId: { type: String, index: true },
+  playerId: String,
+  name: String,
+  text: String, // as shown (after the profanity filter, when the room has it on)
+  at: { type: Date, default: Date.now }
+});
+
+chatMessageSchema.index({ roomId: 1, at: -1 });
+
+module.exports = mongoose.model('ChatMessage', chatMessageSchema);
@@ -0,0 +1,31 @@
+// backend/models/Game.js
+const mongoose = require('mongoose');
+
+// A finished game, archived when the last round ends. Rounds hold the same per-answer
+// breakdown as the CSV export: { round, letter, answers: [...], speedBonus, scores: { playerId: pts } }
+const gamePlayerSchema = new mongoose.Schema({
+  playerId: String,
+  name: String,
+  nameKey: { type: String, index: true }, // lowercased name, players are tracked across games by name (not set for bots)
+  bot: Boolean,
+  team: String, // team mode only
+  score: Number,
+  rank: Number
+}, { _id: false });
+
+const gameSchema = new mongoose.Schema({
+  roomId: { type: String, index: true },
+  startedAt: Date,
+  finishedAt: { type: Date, default: Date.now, index: true },
+  categories: [String],
+  settings: { type: mongoose.Schema.Types.Mixed, default: {} },
+  players: [gamePlayerSchema],
+  rounds: { type: [mongoose.Schema.Types.Mixed], default: [] },
+  winners: { type: [mongoose.Schema.Types.Mixed], default: [] },
+  teams: { type: [mongoose.Schema.Types.Mixed], default: undefined } // team mode: [{ team, score, players }], best first
+}, { minimize: false });
+
+// a game is archived once, however often its end is triggered
+gameSchema.index({ roomId: 1, startedAt: 1 }, { unique: true, partialFilterExpression: { startedAt: { $type: 'date' } } });
+
+module.exports = mongoose.model('Game', gameSchema);
@@ -1,22 +1,109 @@
 // backend/models/Room.js
+const crypto = require('crypto');
 const mongoose = require('mongoose');
+const { DEFAULT_SCORING } = require('../scoring');
+const { ALPHABETS, DEFAULT_ALPHABET } = require('../alphabets');
 
+// playerId is the stable public identity (answers, scores and host are keyed by it);
+// token is the secret the browser keeps to rejoin after a dropped connection.
 const playerSchema = new mongoose.Schema({
+  playerId: { type: String, default: () => crypto.randomBytes(6).toString('hex') },
+  token: { type: String, default: () => crypto.randomBytes(16).toString('hex') },
   socketId: String,
+  connected: { type: Boolean, default: true },
+  disconnectedAt: Date,
   name: String,
+  team: String, // team name in team mode
+  bot: { type: Boolean, default: false }, // computer player (bots.js): no socket, never disconnects
+  botDifficulty: String,
   score: { type: Number, default: 0 },
   lastSubmitAt: Date,
   answers: { type: Object, default: {} }
 });
 
+// never broadcast tokens with roomUpdate / callbacks
+playerSchema.set('toJSON', {
+  transform: (doc, ret) => { delete ret.token; return ret; }
+});
+
+// read-only viewers (projector screens, people waiting for the next game)
+const spectatorSchema = new mongoose.Schema({
+  socketId: String,
+  name: String,
+  joinedAt: { type: Date, default: Date.now }
+});
+
+const DEFAULT_CATEGORIES = ['Name', 'City', 'Thing', 'Animal'];
+// lobby -> playing <-> results -> finished (-> lobby again on rematch); abandoned rooms are
+// about to be deleted by the room sweeper
+const ROOM_STATES = ['lobby', 'playing', 'results', 'finished', 'abandoned'];
+const MAX_CATEGORY_LENGTH = 24;
+
+// point values chosen by the host at createRoom
+const scoringSchema = new mongoose.Schema({
+  unique: { type: Number, default: 10 },      // nobody else gave this answer
+  shared: { type: Number, default: 5 },       // answer given by 2+ players
+  onlyAnswer: { type: Number, default: 10 },  // the only valid answer in the category at all
+  speedBonus: { type: Number, default: 0 },   // first submitter of the round (if they scored)
+  invalidPenalty: { type: Number, default: 0 }, // subtracted per invalidated answer
+  doubleFinalRound: { type: Boolean, default: false }
+}, { _id: false });
+
 const roomSchema = new mongoose.Schema({
   roomId: { type: String, unique: true },
-  password: { type: String, default: '' },
-  hostSocket: String,
+  password: { type: String, default: '' }, // scrypt hash (see passwords.js), '' = no password
+  visibility: { type: String, enum: ['public', 'private'], default: 'public' }, // public rooms are listed in the lobby browser
+  hostId: String,
+  state: { type: String, enum: ROOM_STATES, default: 'lobby', index: true },
+  categories: { type: [String], default: () => DEFAULT_CATEGORIES.slice() },
   players: [playerSchema],
+  spectators: [spectatorSchema],
+  timeLimit: { type: Number, default: 0 }, // seconds per round, 0 = no limit
+  validationMode: { type: String, enum: ['off', 'advisory', 'strict'], default: 'off' }, // dictionary checks
+  fuzzyThreshold: { type: Number, default: 0 }, // max edit distance for merging typo'd answers, 0 = off (the host opts in)
+  scoring: { type: scoringSchema, default: () => ({}) },
+  alphabet: { type: String, enum: Object.keys(ALPHABETS), default: DEFAULT_ALPHABET }, // letters to play with, see alphabets.js
+  totalRounds: { type: Number, default: 26 },
+  teamMode: { type: Boolean, default: false }, // teams share scores (see scoring.js)
+  teams: { type: [String], default: undefined }, // team names in team mode
+  letterPool: { type: [String], default: undefined }, // letters to draw from (all of A-Z when unset)
   round: { type: Number, default: 0 },
+  gameStartedAt: Date,
+  roundDeadline: Date, // set when the round has a time limit
+  graceDeadline: Date, // set by the first submission
   usedLetters: { type: [String], default: [] },
-  createdAt: { type: Date, default: Date.now }
+  skippedLetters: { type: [String], default: [] }, // re-rolled away by the host
+  bannedTokens: { type: [String], default: [] }, // sessions banned by the host for the room's lifetime (never sent to clients)
+  locked: { type: Boolean, default: false }, // no new players while locked
+  profanityFilter: { type: Boolean, default: true }, // mask swear words in chat
+  mutedPlayerIds: { type: [String], default: [] }, // players the host silenced in chat
+  paused: { type: Boolean, default: false },
+  pausedRemaining: { round: Number, grace: Number }, // ms left on the round deadlines when the host paused
+  exportToken: String, // host-issued answers export download token (never sent to clients)
+  exportTokenExpiresAt: Date,
+  createdAt: { type: Date, default: Date.now },
+  lastActivityAt: { type: Date, default: Date.now, index: true } // bumped on every save; idle rooms expire
+});
+
+roomSchema.pre('save', function(next){
+  this.lastActivityAt = new Date();
+  next();
 });
 
+roomSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    ret.passwordProtected = !!ret.password;
+    delete ret.password; // hashed, but still never sent to clients
+    delete ret.bannedTokens;
+    delete ret.exportToken;
+    delete ret.exportTokenExpiresAt;
+    return ret;
+  }
+});
+
+roomSchema.statics.ROOM_STATES = ROOM_STATES;
+roomSchema.statics.DEFAULT_CATEGORIES = DEFAULT_CATEGORIES;
+roomSchema.statics.MAX_CATEGORY_LENGTH = MAX_CATEGORY_LENGTH;
+roomSchema.statics.DEFAULT_SCORING = DEFAULT_SCORING;
+
 module.exports = mongoose.model('Room', roomSchema);
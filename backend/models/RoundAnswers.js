@@ -0,0 +1,16 @@
+// backend/models/RoundAnswers.js
+const mongoose = require('mongoose');
+
+// One document per room + round. `entries` mirrors answersMap[roomId][round]:
+// { playerId: { answers: {...}, submittedAt, invalid: {Name:true}, reviews: {Name:[...]}, reactions: {Name:{"👍":[playerId]}}, challenges, unmerged } }
+const roundAnswersSchema = new mongoose.Schema({
+  roomId: { type: String, index: true },
+  round: Number,
+  scored: { type: Boolean, default: false },
+  entries: { type: mongoose.Schema.Types.Mixed, default: {} },
+  updatedAt: { type: Date, default: Date.now }
+}, { minimize: false });
+
+roundAnswersSchema.index({ roomId: 1, round: 1 }, { unique: true });
+
+module.exports = mongoose.model('RoundAnswers', roundAnswersSchema);
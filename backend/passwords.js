@@ -0,0 +1,35 @@
+// backend/passwords.js
+// Room passwords are stored as salted scrypt hashes ("scrypt:<salt>:<hash>", hex). Rooms created
+// before hashing still hold the plaintext and are compared as such.
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+const PREFIX = 'scrypt';
+const SALT_BYTES = 16;
+const KEY_BYTES = 32;
+
+// '' stays '' (no password)
+async function hashPassword(plain){
+  if(!plain) return '';
+  const salt = crypto.randomBytes(SALT_BYTES).toString('hex');
+  const key = await scrypt(String(plain), salt, KEY_BYTES);
+  return [PREFIX, salt, key.toString('hex')].join(':');
+}
+
+function safeEqual(a, b){
+  const ba = Buffer.from(a);
+  const bb = Buffer.from(b);
+  return ba.length === bb.length && crypto.timingSafeEqual(ba, bb);
+}
+
+// true when the room has no password or `given` matches it
+async function verifyPassword(stored, given){
+  if(!stored) return true;
+  const parts = stored.split(':');
+  if(parts.length !== 3 || parts[0] !== PREFIX) return safeEqual(stored, String(given || ''));
+  const key = await scrypt(String(given || ''), parts[1], KEY_BYTES);
+  return safeEqual(key.toString('hex'), parts[2]);
+}
+
+module.exports = { hashPassword, verifyPassword };
@@ -0,0 +1,20 @@
+// backend/profanity.js
+// Chat profanity filter (rooms can turn it off). Whole words only, so "Scunthorpe" and
+// "assistant" pass; matches are masked as "f***".
+const WORDS = [
+  'arse', 'arsehole', 'ass', 'asshole', 'bastard', 'bitch', 'bollocks', 'bullshit', 'crap',
+  'cunt', 'damn', 'dick', 'dickhead', 'fuck', 'fucker', 'fucking', 'motherfucker', 'piss',
+  'prick', 'shit', 'shitty', 'slut', 'twat', 'wanker', 'whore'
+];
+
+const WORD_RE = new RegExp(`\\b(${WORDS.join('|')})\\b`, 'gi');
+
+function mask(word){
+  return word[0] + '*'.repeat(word.length - 1);
+}
+
+function clean(text){
+  return String(text || '').replace(WORD_RE, mask);
+}
+
+module.exports = { clean };
@@ -0,0 +1,181 @@
+// backend/scoring.js
+// The scoring engine: judges every answer of one round and works out the points. Pure — it
+// takes the round's letter, answers, invalidation flags and rules and touches no database or
+// socket, so live scoring, re-scoring after invalidations/votes, the exports and the tests all
+// go through the same code.
+//
+// An answer scores when it is valid:
+// - at least MIN_ANSWER_LENGTH letters, letters of any script only (words may be separated by
+//   spaces, hyphens and apostrophes: "New York", "Jean-Luc"), not one character repeated ("xxxx")
+// - starts with the round letter; an accented initial counts as its base letter unless the
+//   room's alphabet has it as a letter of its own ("Émile" is an E answer, "Ñandú" in Spanish
+//   only an Ñ one)
+// - not invalidated (host or vote), not rejected by a strict dictionary
+// Valid answers are merged into groups of equivalent answers (matching.js); a group shared by
+// several players is worth `shared`, a lone group `unique`, the only group in the category
+// `onlyAnswer`. Invalidated answers cost `invalidPenalty`, the first submitter gets
+// `speedBonus` if they scored at all, and everything is multiplied by `multiplier`.
+//
+// Team mode (`teams` given): uniqueness is judged across teams, so teammates giving the same
+// answer don't share it with each other, and only each team's best answer in a category counts;
+// the teammate who gave it is credited with the points (their individual contribution).
+const matching = require('./matching');
+
+const MIN_ANSWER_LENGTH = 3;
+const ANSWER_RE = /^\p{L}[\p{L}\p{M}\s'’-]*$/u;
+const LETTER_RE = /[\p{L}\p{M}]/gu;
+const REPEAT_CHAR_RE = /^(.)\1+$/iu;
+
+const DEFAULT_SCORING = { unique: 10, shared: 5, onlyAnswer: 10, speedBonus: 0, invalidPenalty: 0, doubleFinalRound: false };
+
+// does answer `v` start with `letter`? `alphabet` is the room's letter list (any accented
+// initial is folded when it's missing)
+function startsWithLetter(v, letter, alphabet){
+  const initial = [...v][0].toUpperCase();
+  const target = String(letter).normalize('NFC').toUpperCase();
+  if(initial === target) return true;
+  if(alphabet && alphabet.includes(initial)) return false;
+  return matching.foldAccents(initial) === target;
+}
+
+// why an answer can't score ('empty' | 'too-short' | 'not-alphabetic' | 'repeated' | 'wrong-letter'), null when it can
+function rejectReason(answer, letter, alphabet = null){
+  const v = String(answer || '').normalize('NFC').trim().replace(/\s+/g, ' ');
+  if(!v) return 'empty';
+  if((v.match(LETTER_RE) || []).length < MIN_ANSWER_LENGTH) return 'too-short';
+  if(!ANSWER_RE.test(v)) return 'not-alphabetic';
+  if(REPEAT_CHAR_RE.test(v)) return 'repeated';
+  if(letter && !startsWithLetter(v, letter, alphabet)) return 'wrong-letter';
+  return null;
+}
+
+// points for one answer group. `groupSize` players share it, `groupCount` distinct
+// valid answers exist in the category (1 = nobody else answered the category at all)
+function answerPoints(rules, groupSize, groupCount){
+  if(groupSize > 1) return rules.shared;
+  return groupCount === 1 ? rules.onlyAnswer : rules.unique;
+}
+
+// whoever submitted first (earliest submittedAt); entries without submittedAt are drafts
+function firstSubmitter(entries){
+  let first = null;
+  Object.keys(entries || {}).forEach(pid => {
+    const ent = entries[pid];
+    if(pid === '_scored' || !ent || !ent.submittedAt) return;
+    if(!first || new Date(ent.submittedAt) < new Date(entries[first].submittedAt)) first = pid;
+  });
+  return first;
+}
+
+// answers the host split off stay out of merging
+function pinnedAnswers(entries, category){
+  const pinned = new Set();
+  Object.keys(entries || {}).forEach(pid => {
+    const ent = entries[pid];
+    if(pid === '_scored' || !ent || !ent.unmerged || !ent.unmerged[category]) return;
+    pinned.add(((ent.answers && ent.answers[category]) || '').trim().toLowerCase());
+  });
+  return pinned;
+}
+
+/* scoreRound: judge and score one round.
+   options:
+     letter          round letter ('' = any)
+     alphabet        optional letters of the room's alphabet (decides which accented initials are letters of their own)
+     categories      category names
+     playerIds       players taking part (entries of anyone else are ignored)
+     entries         { playerId: { answers: { Category: text }, submittedAt, invalid: { Category: true }, unmerged: { Category: true } } }
+     rules           scoring rules (missing fields fall back to DEFAULT_SCORING)
+     multiplier      1, or 2 for a doubled final round
+     fuzzyThreshold  max edit distance for merging typos (0 = off)
+     verdict         optional (category, answer) => 'verified' | 'unknown' | null dictionary lookup
+     strict          answers with verdict 'unknown' don't score
+     isWord          optional (category, answer) => true for words in the category's word list; two of them are never typo-merged
+     teams           optional { playerId: team } for team mode (players left out play as a team of one)
+   returns { answers: [{ playerId, category, answer, valid, unique, invalid, rejected, dictionary, points }],
+             scores: { playerId: points }, speedBonus: { playerId, points } | null, merges: { Category: [...] },
+             teamScores: { team: points } | null }
+   in team mode answers also carry `team` and `counted` (false for a valid answer a teammate beat) */
+function scoreRound({ letter = '', alphabet = null, categories = [], playerIds = [], entries = {}, rules = {}, multiplier = 1, fuzzyThreshold = 0, verdict = null, strict = false, isWord = null, teams = null }){
+  rules = { ...DEFAULT_SCORING, ...rules };
+  const answers = [];
+  const merges = {};
+  const scores = {};
+  playerIds.forEach(pid => scores[pid] = 0);
+  const teamOf = pid => (teams && teams[pid]) || pid;
+
+  categories.forEach(cat => {
+    // judge each player's answer, collecting valid ones by text
+    const byText = {};
+    const records = playerIds.map(pid => {
+      const ent = entries[pid] || {};
+      const answer = (ent.answers && ent.answers[cat]) || '';
+      const text = answer.trim().toLowerCase();
+      const invalid = !!(ent.invalid && ent.invalid[cat]);
+      const dictionary = (text && verdict) ? (verdict(cat, text) || null) : null;
+      let rejected = rejectReason(answer, letter, alphabet);
+      if(!rejected && invalid) rejected = 'invalidated';
+      if(!rejected && strict && dictionary === 'unknown') rejected = 'dictionary';
+      if(!rejected) (byText[text] = byText[text] || []).push(pid);
+      return { playerId: pid, category: cat, answer, text, valid: !rejected, unique: false, invalid, rejected, dictionary, points: 0 };
+    });
+
+    // group equivalent answers (plurals, aliases, typos) before judging uniqueness
+    const merged = matching.mergeAnswers(byText, { threshold: fuzzyThreshold, pinned: pinnedAnswers(entries, cat), isWord: isWord && (key => isWord(cat, key)) });
+    if(merged.merges.length) merges[cat] = merged.merges;
+    const groupCount = Object.keys(merged.buckets).length;
+
+    if(teams){
+      // a group counts once per team; "only answer" means only one team answered at all
+      const teamsAnswering = new Set(records.filter(r => r.valid).map(r => teamOf(r.playerId))).size;
+      records.forEach(r => {
+        r.team = teamOf(r.playerId);
+        if(!r.valid) return;
+        const group = merged.buckets[merged.groupOf[r.text]];
+        const groupTeams = new Set(group.map(teamOf)).size;
+        r.unique = groupTeams === 1;
+        r.points = answerPoints(rules, groupTeams, teamsAnswering) * multiplier;
+      });
+      // best answer per team counts (first in playerIds order on a tie)
+      const best = {};
+      records.forEach(r => {
+        if(r.valid && (!best[r.team] || r.points > best[r.team].points)) best[r.team] = r;
+      });
+      records.forEach(r => {
+        r.counted = !r.valid || best[r.team] === r;
+        if(!r.counted) r.points = 0;
+      });
+    }
+
+    records.forEach(r => {
+      if(r.valid && !teams){
+        const group = merged.buckets[merged.groupOf[r.text]];
+        r.unique = group.length === 1;
+        r.points = answerPoints(rules, group.length, groupCount) * multiplier;
+      } else if(!r.valid && r.invalid && r.text){
+        r.points = rules.invalidPenalty ? -rules.invalidPenalty * multiplier : 0;
+      }
+      scores[r.playerId] += r.points;
+      delete r.text;
+      answers.push(r);
+    });
+  });
+
+  // speed bonus for the first submitter, if they scored anything
+  const first = firstSubmitter(Object.fromEntries(playerIds.filter(pid => entries[pid]).map(pid => [pid, entries[pid]])));
+  let speedBonus = null;
+  if(rules.speedBonus && first && scores[first] > 0){
+    speedBonus = { playerId: first, points: rules.speedBonus * multiplier };
+    scores[first] += speedBonus.points;
+  }
+
+  let teamScores = null;
+  if(teams){
+    teamScores = {};
+    playerIds.forEach(pid => teamScores[teamOf(pid)] = (teamScores[teamOf(pid)] || 0) + scores[pid]);
+  }
+
+  return { answers, scores, speedBonus, merges, teamScores };
+}
+
+module.exports = { DEFAULT_SCORING, MIN_ANSWER_LENGTH, rejectReason, answerPoints, firstSubmitter, scoreRound };
@@ -2,14 +2,60 @@
 require('dotenv').config();
 const express = require('express');
 const http = require('http');
+const path = require('path');
 const { Server } = require('socket.io');
 const mongoose = require('mongoose');
+const crypto = require('crypto');
 const cors = require('cors');
 const Room = require('./models/Room');
+const RoundAnswers = require('./models/RoundAnswers');
+const Game = require('./models/Game');
+const ChatMessage = require('./models/ChatMessage');
+const { playerStats } = require('./stats');
+const dictionary = require('./dictionary');
+const matching = require('./matching');
+const passwords = require('./passwords');
+const validation = require('./validation');
+const profanity = require('./profanity');
+const scoring = require('./scoring');
+const bots = require('./bots');
+const alphabets = require('./alphabets');
+const cluster = require('./cluster');
 
 const PORT = process.env.PORT || 5000;
 const MONGO_URI = process.env.MONGO_URI || 'mongodb://localhost:27017/alpharush';
+const REDIS_URL = process.env.REDIS_URL || ''; // set to run several instances (see cluster.js)
 const MAX_PLAYERS = parseInt(process.env.MAX_PLAYERS || '8', 10);
+const MIN_CATEGORIES = parseInt(process.env.MIN_CATEGORIES || '2', 10);
+const MAX_CATEGORIES = parseInt(process.env.MAX_CATEGORIES || '8', 10);
+const MAX_SPECTATORS = parseInt(process.env.MAX_SPECTATORS || '20', 10);
+const RECONNECT_GRACE_MS = parseInt(process.env.RECONNECT_GRACE_SECONDS || '60', 10) * 1000;
+const SWEEP_INTERVAL_MS = 5000;
+const ROOM_TTL_MS = parseInt(process.env.ROOM_TTL_MINUTES || '30', 10) * 60 * 1000; // idle rooms are deleted after this
+const ROOM_SWEEP_INTERVAL_MS = 60 * 1000;
+const GRACE_SECONDS = parseInt(process.env.GRACE_SECONDS || '10', 10);
+const VOTE_SECONDS = parseInt(process.env.VOTE_SECONDS || '20', 10);
+const VOTE_MIN_REJECTS = parseInt(process.env.VOTE_MIN_REJECTS || '2', 10); // no single player can void an answer
+const DICTIONARY_DIR = process.env.DICTIONARY_DIR || path.join(__dirname, 'wordlists');
+const ALIASES_FILE = process.env.ALIASES_FILE || path.join(__dirname, 'aliases.json');
+const MIN_TIME_LIMIT = 15;
+const MAX_TIME_LIMIT = 600;
+const ROOM_CODE_LENGTH = 5;
+const ROOM_CODE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // no 0/O, 1/I lookalikes
+const ROOM_LIST_LIMIT = 50;
+const TEAM_NAMES = ['Red', 'Blue', 'Green', 'Gold']; // team mode: 2 to 4 teams
+const MIN_TEAMS = 2;
+const BOT_PAUSE_RETRY_MS = 2000; // a bot due to submit during a pause tries again after this
+const EXPORT_TOKEN_TTL_MS = parseInt(process.env.EXPORT_TOKEN_TTL_SECONDS || '300', 10) * 1000;
+// per-socket limits: at most `max` events of the kind per `windowMs`
+const RATE_LIMITS = {
+  updateAnswers: { max: parseInt(process.env.RATE_LIMIT_DRAFTS || '10', 10), windowMs: 1000 },
+  submitAnswers: { max: parseInt(process.env.RATE_LIMIT_SUBMITS || '3', 10), windowMs: 5000 },
+  chatMessage: { max: parseInt(process.env.RATE_LIMIT_CHAT || '5', 10), windowMs: 5000 },
+  reactAnswer: { max: 10, windowMs: 5000 }
+};
+const CHAT_HISTORY = parseInt(process.env.CHAT_HISTORY || '50', 10);
+const REACTIONS = ['👍', '😂', '🤯', '🤔', '👎'];
 
 const app = express();
 app.use(cors());
@@ -19,167 +65,1456 @@ const server = http.createServer(app);
 const io = new Server(server, { cors: { origin: '*' } });
 
 mongoose.set('strictQuery', false);
-mongoose.connect(MONGO_URI).then(()=> console.log('Mongo connected')).catch(err=>console.error(err));
 
-const LETTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ'.split('');
+dictionary.loadDictionaries(DICTIONARY_DIR);
+matching.loadAliases(ALIASES_FILE);
 
-// helper: pick a random unused letter
-function pickLetter(used){
-  const remaining = LETTERS.filter(l => !used.includes(l));
+// 'no-hard' drops the letters hardly anyone can answer for (per alphabet, see alphabets.js)
+const LETTER_PRESETS = ['all', 'no-hard'];
+
+// helper: pick a random letter from the pool that hasn't been used (or skipped) yet
+function pickLetter(used, pool){
+  const remaining = pool.filter(l => !used.includes(l));
   if(remaining.length === 0) return null;
   return remaining[Math.floor(Math.random()*remaining.length)];
 }
 
-// In-memory answers map:
-// answersMap = { roomId: { roundNumber: { socketId: { answers: {...}, submittedAt, invalid: {Name:true}, ... }, _scored: bool } } }
+// helper: clean up the host's category list (trim, drop blanks/duplicates, enforce min/max)
+// returns { categories } or { error }
+function sanitizeCategories(list){
+  if(list === undefined || list === null) return { categories: Room.DEFAULT_CATEGORIES.slice() };
+  if(!Array.isArray(list)) return { error:'categories must be a list' };
+  const seen = new Set();
+  const categories = [];
+  list.forEach(c => {
+    const v = String(c || '').trim().replace(/\s+/g, ' ').slice(0, Room.MAX_CATEGORY_LENGTH);
+    if(!v || seen.has(v.toLowerCase())) return;
+    seen.add(v.toLowerCase());
+    categories.push(v);
+  });
+  if(categories.length < MIN_CATEGORIES) return { error:`Pick at least ${MIN_CATEGORIES} categories` };
+  if(categories.length > MAX_CATEGORIES) return { error:`Pick at most ${MAX_CATEGORIES} categories` };
+  return { categories };
+}
+
+// helper: validate the per-round time limit (seconds, 0 = none); returns { timeLimit } or { error }
+function sanitizeTimeLimit(v){
+  if(v === undefined || v === null || v === '' || Number(v) === 0) return { timeLimit: 0 };
+  const n = parseInt(v, 10);
+  if(isNaN(n) || n < MIN_TIME_LIMIT || n > MAX_TIME_LIMIT) return { error:`Time limit must be ${MIN_TIME_LIMIT}-${MAX_TIME_LIMIT} seconds` };
+  return { timeLimit: n };
+}
+
+// helper: dictionary verdict ('verified' | 'unknown') for an answer, null when the room has
+// validation off or the category has no word list
+function dictionaryVerdict(room, category, answer){
+  if(!room.validationMode || room.validationMode === 'off') return null;
+  return dictionary.lookup(category, answer);
+}
+
+// helper: verdicts for every answer in a round bucket: { playerId: { Category: 'verified'|'unknown' } }
+function roundVerdicts(room, bucket){
+  const verdicts = {};
+  if(!bucket || !room.validationMode || room.validationMode === 'off') return verdicts;
+  Object.keys(bucket).forEach(pid => {
+    if(pid === '_scored') return;
+    const raw = (bucket[pid] && bucket[pid].answers) || {};
+    roomCategories(room).forEach(cat => {
+      const v = (raw[cat] || '').trim();
+      const verdict = v ? dictionaryVerdict(room, cat, v) : null;
+      if(!verdict) return;
+      verdicts[pid] = verdicts[pid] || {};
+      verdicts[pid][cat] = verdict;
+    });
+  });
+  return verdicts;
+}
+
+// helper: validate the host's scoring rules; returns { scoring } or { error }
+function sanitizeScoring(input){
+  const scoring = {};
+  if(input === undefined || input === null) return { scoring };
+  if(typeof input !== 'object') return { error:'scoring must be an object' };
+  for(const key of ['unique', 'shared', 'onlyAnswer', 'speedBonus', 'invalidPenalty']){
+    if(input[key] === undefined || input[key] === '') continue;
+    const n = parseInt(input[key], 10);
+    if(isNaN(n) || n < 0 || n > 100) return { error:`${key} must be 0-100 points` };
+    scoring[key] = n;
+  }
+  if(input.doubleFinalRound !== undefined) scoring.doubleFinalRound = !!input.doubleFinalRound;
+  return { scoring };
+}
+
+// helper: final round is worth double when the room asks for it
+function roundMultiplier(room, round){
+  return (room.scoring && room.scoring.doubleFinalRound && Number(round) === totalRounds(room)) ? 2 : 1;
+}
+
+// helper: judge and score one round from answersMap with the room's rules (see scoring.js)
+function roundResult(room, round){
+  return scoring.scoreRound({
+    letter: (room.usedLetters || [])[round - 1] || '',
+    alphabet: alphabets.letters(room.alphabet),
+    categories: roomCategories(room),
+    playerIds: room.players.map(p => p.playerId),
+    entries: (answersMap[room.roomId] && answersMap[room.roomId][round]) || {},
+    rules: room.scoring ? room.scoring.toObject() : Room.DEFAULT_SCORING,
+    multiplier: roundMultiplier(room, round),
+    fuzzyThreshold: room.fuzzyThreshold,
+    verdict: (category, answer) => dictionaryVerdict(room, category, answer),
+    strict: room.validationMode === 'strict',
+    isWord: (category, answer) => dictionary.lookup(category, answer) === 'verified', // whatever the validation mode
+    teams: teamAssignments(room)
+  });
+}
+
+// helper: team mode { playerId: team } for the scoring engine, null when everyone plays alone
+function teamAssignments(room){
+  if(!room.teamMode) return null;
+  const teams = {};
+  room.players.forEach(p => { if(p.team) teams[p.playerId] = p.team; });
+  return teams;
+}
+
+// helper: validate the team setup; returns { teams } (null = no team mode) or { error }
+function sanitizeTeams(teamMode, teamCount){
+  if(!teamMode) return { teams: null };
+  const n = teamCount === undefined ? MIN_TEAMS : parseInt(teamCount, 10);
+  if(isNaN(n) || n < MIN_TEAMS || n > TEAM_NAMES.length) return { error:`Teams must be ${MIN_TEAMS}-${TEAM_NAMES.length}` };
+  return { teams: TEAM_NAMES.slice(0, n) };
+}
+
+// helper: team with the fewest players (new players and unassigned ones go there)
+function smallestTeam(room){
+  const counts = {};
+  room.teams.forEach(t => counts[t] = 0);
+  room.players.forEach(p => { if(counts[p.team] !== undefined) counts[p.team]++; });
+  return room.teams.reduce((best, t) => counts[t] < counts[best] ? t : best);
+}
+
+// helper: shuffle the players and deal them round-robin into the teams
+function balanceTeams(room){
+  const order = [...room.players];
+  for(let i = order.length - 1; i > 0; i--){
+    const j = Math.floor(Math.random() * (i + 1));
+    [order[i], order[j]] = [order[j], order[i]];
+  }
+  order.forEach((p, i) => { p.team = room.teams[i % room.teams.length]; });
+}
+
+// helper: team standings with each member's contribution (their own points), best first; null outside team mode
+function teamTotals(room){
+  if(!room.teamMode) return null;
+  return room.teams.map(team => {
+    const players = room.players.filter(p => p.team === team).map(p => ({ playerId: p.playerId, name: p.name, score: p.score || 0 }));
+    return { team, score: players.reduce((n, p) => n + p.score, 0), players };
+  }).sort((a, b) => b.score - a.score);
+}
+
+// helper: running totals sent with 'roundScored' / 'gameOver'
+function playerTotals(room){
+  return room.players.map(p => ({ playerId: p.playerId, name: p.name, team: p.team, bot: p.bot || undefined, score: p.score }));
+}
+
+// helper: validate alphabet, game length + letter pool; returns { alphabet, letterPool, totalRounds } or { error }
+function sanitizeLetters({ alphabet, rounds, excludeLetters, letterPreset }){
+  if(alphabet && !alphabets.ALPHABETS[alphabet]) return { error:'Unknown alphabet' };
+  alphabet = alphabet || alphabets.DEFAULT_ALPHABET;
+  if(letterPreset && !LETTER_PRESETS.includes(letterPreset)) return { error:'Unknown letter preset' };
+  if(excludeLetters !== undefined && !Array.isArray(excludeLetters)) return { error:'excludeLetters must be a list' };
+  const excluded = new Set([...alphabets.presetExcludes(alphabet, letterPreset), ...(excludeLetters || []).map(l => String(l).normalize('NFC').toUpperCase())]);
+  const letterPool = alphabets.letters(alphabet).filter(l => !excluded.has(l));
+  if(letterPool.length === 0) return { error:'No letters left to play' };
+
+  if(rounds === undefined || rounds === null || rounds === '') return { alphabet, letterPool, totalRounds: letterPool.length };
+  const n = parseInt(rounds, 10);
+  if(isNaN(n) || n < 1 || n > letterPool.length) return { error:`Rounds must be 1-${letterPool.length} for these letters` };
+  return { alphabet, letterPool, totalRounds: n };
+}
+
+// helper: number of rounds in the room's game (older rooms: one per letter)
+function totalRounds(room){
+  return room.totalRounds || alphabets.letters(room.alphabet).length;
+}
+
+// helper: letters the room draws from
+function letterPool(room){
+  return (room.letterPool && room.letterPool.length) ? room.letterPool : alphabets.letters(room.alphabet);
+}
+
+// helper: short room code nobody is using yet (rooms created without a roomId)
+async function generateRoomCode(){
+  for(;;){
+    let code = '';
+    for(let i = 0; i < ROOM_CODE_LENGTH; i++) code += ROOM_CODE_CHARS[Math.floor(Math.random() * ROOM_CODE_CHARS.length)];
+    if(!(await Room.exists({ roomId: code }))) return code;
+  }
+}
+
+// helper: categories for a room (older rooms were created before categories were stored)
+function roomCategories(room){
+  return (room && room.categories && room.categories.length) ? room.categories : Room.DEFAULT_CATEGORIES;
+}
+
+// In-memory answers map (write-through cache of the RoundAnswers collection, reloaded on boot):
+// answersMap = { roomId: { roundNumber: { playerId: { answers: {...}, submittedAt, invalid: {Name:true}, ... }, _scored: bool } } }
+// With several instances each one has its own copy; every write below is announced to the
+// others, which apply it to theirs (see the 'answers:*' listeners).
 const answersMap = {};
 
+// multi-instance: true once the Redis adapter is attached
+let clustered = false;
+
+// tell the other instances about a change (no-op when running alone)
+function announce(event, payload){
+  if(clustered) io.serverSideEmit(event, payload);
+}
+
+// helper: get (or create) the answers bucket for a room/round
+function ensureRound(roomId, round){
+  if(!answersMap[roomId]) answersMap[roomId] = {};
+  if(!answersMap[roomId][round]) answersMap[roomId][round] = { _scored: false };
+  return answersMap[roomId][round];
+}
+
+// persist a fresh round document (called when a round starts)
+function saveRoundStart(roomId, round){
+  announce('answers:round', { roomId, round });
+  return RoundAnswers.updateOne(
+    { roomId, round },
+    { $set: { scored: false, entries: {}, updatedAt: new Date() } },
+    { upsert: true }
+  );
+}
+
+// persist one player's whole entry (draft or submission: only its owner writes those) for a round
+function saveEntry(roomId, round, playerKey){
+  const entry = answersMap[roomId][round][playerKey];
+  announce('answers:entry', { roomId, round, playerKey, entry });
+  return RoundAnswers.updateOne(
+    { roomId, round },
+    { $set: { [`entries.${playerKey}`]: entry, updatedAt: new Date() } },
+    { upsert: true }
+  );
+}
+
+// Field-level changes to one player's entry, for the results-stage edits several people make at
+// once (votes, reactions, host flags): ops = [{ op: 'set'|'unset'|'push'|'addToSet'|'pull', path: [key, ...], value }].
+// Applied to answersMap, written as one atomic Mongo update of just those fields and announced as
+// the same ops, so edits made through different instances never overwrite each other.
+const ENTRY_OPS = { set: '$set', unset: '$unset', push: '$push', addToSet: '$addToSet', pull: '$pull' };
+
+function applyEntryOps(bucket, playerKey, ops){
+  bucket[playerKey] = bucket[playerKey] || {};
+  ops.forEach(({ op, path, value }) => {
+    let node = bucket[playerKey];
+    path.slice(0, -1).forEach(k => { node = node[k] = node[k] || {}; });
+    const key = path[path.length - 1];
+    const list = node[key] || [];
+    if(op === 'set') node[key] = value;
+    else if(op === 'unset') delete node[key];
+    else if(op === 'push') node[key] = [...list, value];
+    else if(op === 'addToSet') node[key] = list.includes(value) ? list : [...list, value];
+    else if(op === 'pull') node[key] = list.filter(v => v !== value);
+  });
+}
+
+function updateEntry(roomId, round, playerKey, ops){
+  applyEntryOps(ensureRound(roomId, round), playerKey, ops);
+  // a category with '.' or a leading '$' can't be addressed as a field path: whole entry then
+  if(ops.some(o => o.path.some(k => /^\$|\./.test(String(k))))) return saveEntry(roomId, round, playerKey);
+  announce('answers:ops', { roomId, round, playerKey, ops });
+  const update = { $set: { updatedAt: new Date() } };
+  ops.forEach(({ op, path, value }) => {
+    const mongoOp = ENTRY_OPS[op];
+    update[mongoOp] = { ...(update[mongoOp] || {}), [['entries', playerKey, ...path].join('.')]: op === 'unset' ? '' : value };
+  });
+  return RoundAnswers.updateOne({ roomId, round }, update, { upsert: true });
+}
+
+// drop every stored round for a room (new game)
+async function resetRoomAnswers(roomId){
+  answersMap[roomId] = {};
+  announce('answers:reset', { roomId });
+  await RoundAnswers.deleteMany({ roomId });
+}
+
+// claim the scoring of a round in Mongo: only one caller (on any instance) flips `scored` and
+// gets true, so racing timers / submissions on different instances can't both apply the points
+async function claimScoring(roomId, round){
+  try {
+    const res = await RoundAnswers.updateOne(
+      { roomId, round, scored: { $ne: true } },
+      { $set: { scored: true, updatedAt: new Date() } },
+      { upsert: true }
+    );
+    if(!(res.modifiedCount || res.upsertedCount)) return false;
+  } catch(e){
+    if(e.code === 11000) return false; // already scored: the upsert collided with the existing round
+    throw e;
+  }
+  announce('answers:scored', { roomId, round, scored: true });
+  return true;
+}
+
+// multi-instance: reload a round from Mongo, so scoring never misses an entry another instance
+// wrote a moment ago
+async function refreshRound(roomId, round){
+  const doc = await RoundAnswers.findOne({ roomId, round }).lean();
+  if(!doc) return;
+  answersMap[roomId] = answersMap[roomId] || {};
+  answersMap[roomId][round] = { ...(doc.entries || {}), _scored: !!doc.scored };
+}
+
+// keep this instance's answersMap in step with writes made on the others
+io.on('answers:round', ({ roomId, round }) => {
+  if(!answersMap[roomId]) answersMap[roomId] = {};
+  answersMap[roomId][round] = { _scored: false };
+});
+io.on('answers:entry', ({ roomId, round, playerKey, entry }) => {
+  ensureRound(roomId, round)[playerKey] = entry;
+});
+io.on('answers:ops', ({ roomId, round, playerKey, ops }) => {
+  applyEntryOps(ensureRound(roomId, round), playerKey, ops);
+});
+io.on('answers:scored', ({ roomId, round, scored }) => {
+  ensureRound(roomId, round)._scored = scored;
+});
+io.on('answers:reset', ({ roomId }) => {
+  answersMap[roomId] = {};
+});
+io.on('answers:drop', ({ roomId }) => {
+  clearRoundTimers(roomId);
+  clearBotTimers(roomId);
+  delete answersMap[roomId];
+});
+
+// Server-side round timers: roundTimers = { roomId: { round, handles: [timeout, ...] } }
+// The server alone decides when a round is scored (time limit or grace window after the first submit).
+const roundTimers = {};
+
+function clearRoundTimers(roomId){
+  const t = roundTimers[roomId];
+  if(t) t.handles.forEach(h => clearTimeout(h));
+  delete roundTimers[roomId];
+}
+
+// every instance drops its timers for the room (new round, pause, round over)
+function stopRoundTimers(roomId){
+  clearRoundTimers(roomId);
+  announce('timers:stopRound', { roomId });
+}
+
+io.on('timers:stopRound', ({ roomId }) => clearRoundTimers(roomId));
+
+// score `round` at `at` (Date); scoreRound's _scored guard makes extra timers harmless
+function scheduleScoring(roomId, round, at){
+  if(!roundTimers[roomId] || roundTimers[roomId].round !== round){
+    clearRoundTimers(roomId);
+    roundTimers[roomId] = { round, handles: [] };
+  }
+  const delay = Math.max(0, new Date(at).getTime() - Date.now());
+  roundTimers[roomId].handles.push(setTimeout(() => {
+    scoreRound(roomId, round).catch(err => console.error('timer score error', err));
+  }, delay));
+}
+
+// new round: reset deadlines on the room (caller saves) and arm the time-limit timer
+function armRoundTimer(room){
+  stopRoundTimers(room.roomId);
+  room.graceDeadline = undefined;
+  room.roundDeadline = room.timeLimit ? new Date(Date.now() + room.timeLimit * 1000) : undefined;
+  if(room.roundDeadline) scheduleScoring(room.roomId, room.round, room.roundDeadline);
+}
+
+// first submission: start the grace window (never past the round deadline)
+function armGraceTimer(room){
+  if(room.graceDeadline) return;
+  let at = Date.now() + GRACE_SECONDS * 1000;
+  if(room.roundDeadline) at = Math.min(at, room.roundDeadline.getTime());
+  room.graceDeadline = new Date(at);
+  scheduleScoring(room.roomId, room.round, room.graceDeadline);
+}
+
+// Computer players: botTimers = { roomId: [timeout, ...] }. A bot's answers go in as a draft when
+// the round starts (like a player typing) and are submitted after its difficulty's delay.
+const botTimers = {};
+
+function clearBotTimers(roomId){
+  (botTimers[roomId] || []).forEach(h => clearTimeout(h));
+  delete botTimers[roomId];
+}
+
+function stopBotTimers(roomId){
+  clearBotTimers(roomId);
+  announce('timers:stopBots', { roomId });
+}
+
+io.on('timers:stopBots', ({ roomId }) => clearBotTimers(roomId));
+
+function scheduleBotSubmit(roomId, round, playerId, delay){
+  (botTimers[roomId] = botTimers[roomId] || []).push(setTimeout(() => {
+    botSubmit(roomId, round, playerId).catch(err => console.error('bot submit error', err));
+  }, delay));
+}
+
+// new round (or re-rolled letter): every bot fills in its answers and schedules its submission
+async function startBots(room){
+  stopBotTimers(room.roomId);
+  const botPlayers = room.players.filter(p => p.bot);
+  if(!botPlayers.length) return;
+  const bucket = ensureRound(room.roomId, room.round);
+  for(const b of botPlayers){
+    bucket[b.playerId] = {
+      answers: bots.botAnswers({
+        categories: roomCategories(room),
+        letter: room.usedLetters[room.round - 1],
+        alphabet: alphabets.letters(room.alphabet),
+        difficulty: b.botDifficulty,
+        wordsFor: dictionary.words
+      })
+    };
+    await saveEntry(room.roomId, room.round, b.playerId);
+    scheduleBotSubmit(room.roomId, room.round, b.playerId, bots.submitDelayMs(b.botDifficulty, room.timeLimit));
+  }
+}
+
+// boot: bots of rounds still running submit what they had drafted, on a fresh delay
+async function restoreBotTimers(){
+  const rooms = await Room.find({ state: 'playing', 'players.bot': true });
+  rooms.forEach(r => {
+    const bucket = answersMap[r.roomId] && answersMap[r.roomId][r.round];
+    if(!bucket || bucket._scored) return;
+    r.players.filter(p => p.bot && !(bucket[p.playerId] && bucket[p.playerId].submittedAt)).forEach(b => {
+      scheduleBotSubmit(r.roomId, r.round, b.playerId, bots.submitDelayMs(b.botDifficulty, r.timeLimit));
+    });
+  });
+}
+
+async function botSubmit(roomId, round, playerId){
+  const room = await Room.findOne({ roomId });
+  if(!room || room.round !== round) return;
+  const bot = room.players.find(p => p.playerId === playerId);
+  const bucket = answersMap[roomId] && answersMap[roomId][round];
+  if(!bot || !bucket || bucket._scored || (bucket[playerId] && bucket[playerId].submittedAt)) return;
+  if(room.paused) return scheduleBotSubmit(roomId, round, playerId, BOT_PAUSE_RETRY_MS);
+  await recordSubmission(room, bot, round, (bucket[playerId] && bucket[playerId].answers) || {});
+}
+
+// deadlines as epoch ms plus serverTime so clients can correct for clock skew
+function timingPayload(room){
+  return {
+    timeLimit: room.timeLimit || 0,
+    graceSeconds: GRACE_SECONDS,
+    deadline: room.roundDeadline ? room.roundDeadline.getTime() : null,
+    graceDeadline: room.graceDeadline ? room.graceDeadline.getTime() : null,
+    serverTime: Date.now()
+  };
+}
+
+// boot: re-arm timers of rounds that were still running when the process stopped
+async function restoreRoundTimers(){
+  const rooms = await Room.find({ $or: [{ roundDeadline: { $ne: null } }, { graceDeadline: { $ne: null } }] });
+  rooms.forEach(r => {
+    const bucket = answersMap[r.roomId] && answersMap[r.roomId][r.round];
+    if(bucket && bucket._scored) return;
+    [r.roundDeadline, r.graceDeadline].filter(Boolean).forEach(at => scheduleScoring(r.roomId, r.round, at));
+  });
+}
+
+// Review audit trail: every invalidation / restore is logged on the answer's entry so it is persisted with it:
+// entry.reviews = { Category: [{ action: 'invalidate'|'restore', source: 'host'|'vote', by, byName, reason, at (epoch ms) }] }
+// (an updateEntry op appending to the log)
+function reviewOp(category, record){
+  return { op: 'push', path: ['reviews', category], value: { ...record, at: Date.now() } };
+}
+
+// helper: a round's review log as a flat list, oldest first (exports)
+function roundReviews(room, round){
+  const bucket = (answersMap[room.roomId] && answersMap[room.roomId][round]) || {};
+  const list = [];
+  Object.keys(bucket).forEach(pid => {
+    if(pid === '_scored' || !bucket[pid] || !bucket[pid].reviews) return;
+    Object.keys(bucket[pid].reviews).forEach(cat => {
+      bucket[pid].reviews[cat].forEach(r => list.push({ playerId: pid, category: cat, ...r }));
+    });
+  });
+  return list.sort((a, b) => a.at - b.at);
+}
+
+// Peer review: a challenge lives on the challenged answer's entry so it is persisted with it:
+// entry.challenges = { Category: { by, deadline (epoch ms), minRejects, votes: { playerId: 'accept'|'reject' }, resolved, outcome, tally } }
+const voteTimers = {};
+
+function voteKey(roomId, round, playerId, category){
+  return [roomId, round, playerId, category].join('|');
+}
+
+function scheduleVoteResolution(roomId, round, playerId, category, at){
+  const key = voteKey(roomId, round, playerId, category);
+  clearTimeout(voteTimers[key]);
+  voteTimers[key] = setTimeout(() => {
+    resolveChallenge(roomId, round, playerId, category).catch(err => console.error('vote resolve error', err));
+  }, Math.max(0, at - Date.now()));
+}
+
+function tallyVotes(challenge){
+  const tally = { accept: 0, reject: 0 };
+  Object.values(challenge.votes || {}).forEach(v => { if(tally[v] !== undefined) tally[v]++; });
+  return tally;
+}
+
+// close a challenge. Majority reject with at least VOTE_MIN_REJECTS reject votes -> the answer's
+// invalid flag is set, otherwise the answer stands as it was. A flag the host set (or restored) for
+// this answer is never touched by a vote. With `override` (host decided via invalidateAnswer) the
+// flag is left alone and nothing is recomputed.
+async function resolveChallenge(roomId, round, playerId, category, override){
+  const key = voteKey(roomId, round, playerId, category);
+  clearTimeout(voteTimers[key]);
+  delete voteTimers[key];
+
+  const entry = answersMap[roomId] && answersMap[roomId][round] && answersMap[roomId][round][playerId];
+  const challenge = entry && entry.challenges && entry.challenges[category];
+  if(!challenge || challenge.resolved) return;
+
+  const tally = tallyVotes(challenge);
+  const outcome = override || ((tally.reject > tally.accept && tally.reject >= VOTE_MIN_REJECTS) ? 'rejected' : 'accepted');
+  const ops = [
+    { op: 'set', path: ['challenges', category, 'resolved'], value: true },
+    { op: 'set', path: ['challenges', category, 'tally'], value: tally },
+    { op: 'set', path: ['challenges', category, 'outcome'], value: outcome }
+  ];
+  const hostDecided = ((entry.reviews && entry.reviews[category]) || []).some(r => r.source === 'host');
+  if(!override && outcome === 'rejected' && !hostDecided && !(entry.invalid && entry.invalid[category])){
+    ops.push({ op: 'set', path: ['invalid', category], value: true }, reviewOp(category, {
+      action: 'invalidate',
+      source: 'vote',
+      by: null,
+      byName: null,
+      reason: `vote ${tally.reject}-${tally.accept}`
+    }));
+  }
+  await updateEntry(roomId, round, playerId, ops); // marks the challenge resolved before the first await
+  io.to(roomId).emit('challengeUpdate', { round, targetPlayerId: playerId, category, challenge });
+  if(!override) await recomputeRoundScores(roomId, round);
+}
+
+// resolve every open challenge of a round with the votes cast so far (host moves on)
+async function resolveOpenChallenges(roomId, round){
+  const bucket = (answersMap[roomId] && answersMap[roomId][round]) || {};
+  for(const pid of Object.keys(bucket)){
+    if(pid === '_scored') continue;
+    for(const cat of Object.keys(bucket[pid].challenges || {})){
+      await resolveChallenge(roomId, round, pid, cat);
+    }
+  }
+}
+
+// boot: re-arm vote windows that were open when the process stopped
+function restoreVoteTimers(){
+  Object.keys(answersMap).forEach(roomId => {
+    Object.keys(answersMap[roomId]).forEach(round => {
+      const bucket = answersMap[roomId][round];
+      Object.keys(bucket).forEach(pid => {
+        if(pid === '_scored') return;
+        Object.entries(bucket[pid].challenges || {}).forEach(([cat, ch]) => {
+          if(!ch.resolved) scheduleVoteResolution(roomId, parseInt(round, 10), pid, cat, ch.deadline);
+        });
+      });
+    });
+  });
+}
+
+// boot: rebuild answersMap from Mongo so a restart keeps drafts, submissions and _scored flags
+async function loadAnswers(){
+  const docs = await RoundAnswers.find({}).lean();
+  docs.forEach(d => {
+    if(!answersMap[d.roomId]) answersMap[d.roomId] = {};
+    answersMap[d.roomId][d.round] = { ...(d.entries || {}), _scored: !!d.scored };
+  });
+  console.log('Loaded answers for', docs.length, 'rounds');
+}
+
+// helper: the player record bound to this socket (set on create/join/rejoin)
+function socketPlayer(room, socket){
+  if(!room || socket.data.roomId !== room.roomId) return null;
+  return room.players.find(p => p.playerId === socket.data.playerId) || null;
+}
+
+// helper: remember which room/player a socket speaks for
+function bindSocket(socket, room, player){
+  player.socketId = socket.id;
+  player.connected = true;
+  player.disconnectedAt = undefined;
+  socket.data.roomId = room.roomId;
+  socket.data.playerId = player.playerId;
+  socket.join(room.roomId);
+}
+
+// helper: what the player gets back on create/join/rejoin (the token is only ever sent to its owner)
+function sessionPayload(room, player){
+  return { ok:true, room, playerId: player.playerId, token: player.token };
+}
+
+// helper: where the game is right now, for clients (re)joining mid-game
+function roundState(room){
+  const bucket = (answersMap[room.roomId] && answersMap[room.roomId][room.round]) || null;
+  return {
+    round: room.round,
+    rounds: totalRounds(room),
+    letter: (room.usedLetters || [])[room.round - 1] || null,
+    categories: roomCategories(room),
+    submittedIds: bucket ? Object.keys(bucket).filter(k => k !== '_scored' && bucket[k].submittedAt) : [],
+    scored: !!(bucket && bucket._scored),
+    gameOver: room.round > totalRounds(room),
+    ...timingPayload(room)
+  };
+}
+
+// drop players whose grace window ran out; host moves to the first connected player.
+// A room left without people (bots don't count) is abandoned (sweepRooms deletes it).
+// boot: players and spectators whose socket died with the previous process never sent
+// 'disconnecting'. Players are marked disconnected so they rejoin (bindSocket) or get swept like
+// anyone who dropped; spectators are dropped (they re-spectate on reconnect). With the Redis
+// adapter, sockets still open on the other instances keep their places.
+async function resetPresence(){
+  const live = new Set((await io.fetchSockets()).map(s => s.id));
+  const rooms = await Room.find({ $or: [
+    { players: { $elemMatch: { bot: { $ne: true }, connected: { $ne: false } } } },
+    { 'spectators.0': { $exists: true } }
+  ] });
+  for(const r of rooms){
+    const watching = r.spectators.filter(sp => live.has(sp.socketId));
+    let changed = watching.length !== r.spectators.length;
+    r.spectators = watching;
+    r.players.forEach(p => {
+      if(p.bot || p.connected === false || live.has(p.socketId)) return;
+      p.connected = false;
+      p.disconnectedAt = new Date();
+      changed = true;
+    });
+    if(!changed) continue;
+    await r.save();
+    io.to(r.roomId).emit('roomUpdate', r);
+  }
+}
+
+async function sweepDisconnected(){
+  const cutoff = new Date(Date.now() - RECONNECT_GRACE_MS);
+  const rooms = await Room.find({ players: { $elemMatch: { connected: false, disconnectedAt: { $lte: cutoff } } } });
+  for(const r of rooms){
+    r.players = r.players.filter(p => p.connected || !p.disconnectedAt || p.disconnectedAt > cutoff);
+    if(!r.players.some(p => p.playerId === r.hostId)){
+      const next = r.players.find(p => p.connected && !p.bot) || r.players.find(p => !p.bot);
+      if(next) r.hostId = next.playerId;
+    }
+    if(!r.players.some(p => !p.bot)){
+      r.state = 'abandoned';
+      stopRoundTimers(r.roomId);
+      stopBotTimers(r.roomId);
+    }
+    await r.save();
+    io.to(r.roomId).emit('roomUpdate', r);
+  }
+}
+
+// delete a room and everything kept for it (answers, chat, timers), freeing its code;
+// spectators / presenters still connected are told why
+async function closeRoom(room, reason){
+  const roomId = room.roomId;
+  clearRoundTimers(roomId);
+  clearBotTimers(roomId);
+  Object.keys(voteTimers).filter(k => k.startsWith(`${roomId}|`)).forEach(k => {
+    clearTimeout(voteTimers[k]);
+    delete voteTimers[k];
+  });
+  delete answersMap[roomId];
+  announce('answers:drop', { roomId });
+  io.to(roomId).emit('roomClosed', { roomId, reason });
+  io.in(roomId).socketsLeave(roomId);
+  await Promise.all([
+    Room.deleteOne({ _id: room._id }),
+    RoundAnswers.deleteMany({ roomId }),
+    ChatMessage.deleteMany({ roomId })
+  ]);
+  console.log('Closed room', roomId, reason);
+}
+
+// expire abandoned rooms and rooms nobody has touched for ROOM_TTL_MS (finished games are archived in Game)
+async function sweepRooms(){
+  const cutoff = new Date(Date.now() - ROOM_TTL_MS);
+  const rooms = await Room.find({ $or: [
+    { state: 'abandoned' },
+    { lastActivityAt: { $lte: cutoff } },
+    { lastActivityAt: { $exists: false }, createdAt: { $lte: cutoff } }
+  ] });
+  for(const r of rooms){
+    await closeRoom(r, r.state === 'abandoned' ? 'abandoned' : 'expired');
+  }
+}
+
+// helper: last CHAT_HISTORY chat messages of a room to a socket that just joined
+async function sendChatHistory(socket, roomId){
+  const messages = await ChatMessage.find({ roomId }).sort({ at: -1 }).limit(CHAT_HISTORY).lean();
+  socket.emit('chatHistory', { messages: messages.reverse().map(chatPayload) });
+}
+
+function chatPayload(m){
+  return { id: String(m._id), playerId: m.playerId, name: m.name, text: m.text, at: new Date(m.at).getTime() };
+}
+
+// helper: export download token check (issued to the host by 'requestExport', expires)
+function validExportToken(room, token){
+  if(!token || !room.exportToken || !room.exportTokenExpiresAt) return false;
+  if(room.exportTokenExpiresAt.getTime() < Date.now()) return false;
+  const a = Buffer.from(String(token));
+  const b = Buffer.from(room.exportToken);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// helper: fixed-window rate limit per socket and event (counters live on the socket)
+function rateLimited(socket, event){
+  const limit = RATE_LIMITS[event];
+  if(!limit) return false;
+  const now = Date.now();
+  const counters = socket.data.rate || (socket.data.rate = {});
+  const c = counters[event];
+  if(!c || now - c.windowStart >= limit.windowMs){
+    counters[event] = { windowStart: now, count: 1 };
+    return false;
+  }
+  c.count++;
+  return c.count > limit.max;
+}
+
+// the socket no longer speaks for the player (rejoined elsewhere, or kicked / banned with `reason`:
+// then it also leaves the room and is told why). The socket may live on another instance.
+function detachLocal({ socketId, playerId, roomId, reason }){
+  const sock = io.sockets.sockets.get(socketId);
+  if(!sock || sock.data.playerId !== playerId) return false;
+  sock.data.playerId = null;
+  sock.leave(roomId);
+  if(reason){
+    sock.data.roomId = null;
+    if(reason === 'banned') sock.data.bannedFrom = [...(sock.data.bannedFrom || []), roomId];
+    sock.emit('kicked', { roomId, reason });
+  }
+  return true;
+}
+
+function detachSocket(target){
+  if(!detachLocal(target)) announce('socket:detach', target);
+}
+
+io.on('socket:detach', target => detachLocal(target));
+
+// host removes a player (kick / ban): their socket leaves the room and is told why
+async function removePlayer(room, player, reason){
+  room.players = room.players.filter(p => p.playerId !== player.playerId);
+  await room.save();
+
+  if(player.socketId) detachSocket({ socketId: player.socketId, playerId: player.playerId, roomId: room.roomId, reason });
+  io.to(room.roomId).emit('roomUpdate', room);
+
+  // the removed player may have been the last one the round was waiting for
+  const bucket = answersMap[room.roomId] && answersMap[room.roomId][room.round];
+  if(bucket && !bucket._scored && !room.paused && room.players.length
+    && room.players.every(p => bucket[p.playerId] && bucket[p.playerId].submittedAt)){
+    await scoreRound(room.roomId, room.round);
+  }
+}
+
+// a player's (or bot's) final answers for the current round; scores the round once everyone is in
+async function recordSubmission(room, player, round, answers){
+  const roomId = room.roomId;
+  const bucket = ensureRound(roomId, round);
+  bucket[player.playerId] = { answers, submittedAt: new Date() };
+  await saveEntry(roomId, round, player.playerId);
+
+  // update player's lastSubmitAt; the first submission starts the grace window
+  player.lastSubmitAt = new Date();
+  armGraceTimer(room);
+  await room.save();
+
+  io.to(roomId).emit('playerSubmitted', { playerId: player.playerId, round, ...timingPayload(room) });
+
+  // if all submitted -> score (no auto-advance); drafts alone don't count, and neither do entries
+  // of players who have since left (kicked, banned, swept)
+  const submittedCount = room.players.filter(p => bucket[p.playerId] && bucket[p.playerId].submittedAt).length;
+  if(submittedCount >= room.players.length){
+    await scoreRound(roomId, round);
+  }
+}
+
 io.on('connection', socket => {
   console.log('conn', socket.id);
 
+  // every event: payload schema check, then rate limits; rejected events never reach their handler
+  socket.use(([event, payload, cb], next) => {
+    const ack = typeof cb === 'function' ? cb : (typeof payload === 'function' ? payload : null);
+    const error = validation.validatePayload(event, payload);
+    if(error) return ack && ack({ ok:false, code:'INVALID_PAYLOAD', error });
+    if(rateLimited(socket, event)) return ack && ack({ ok:false, code:'RATE_LIMITED', error:'Too many requests, slow down' });
+    next();
+  });
+
   // create room
-  socket.on('createRoom', async ({ roomId, name, password }, cb) => {
+  socket.on('createRoom', async ({ roomId, name, password, visibility, categories, timeLimit, validationMode, fuzzyThreshold, scoring, alphabet, rounds, excludeLetters, letterPreset, teamMode, teamCount }, cb) => {
     try {
-      if(!roomId || !name) return cb && cb({ ok:false, error:'roomId & name required' });
-      const exists = await Room.findOne({ roomId });
-      if(exists) return cb && cb({ ok:false, error:'Room exists' });
+      if(!name) return cb && cb({ ok:false, code:'INVALID_PAYLOAD', error:'name required' });
+      if(visibility && !['public', 'private'].includes(visibility)) return cb && cb({ ok:false, code:'INVALID_PAYLOAD', error:'Unknown visibility' });
+      const cats = sanitizeCategories(categories);
+      if(cats.error) return cb && cb({ ok:false, code:'INVALID_PAYLOAD', error:cats.error });
+      const limit = sanitizeTimeLimit(timeLimit);
+      if(limit.error) return cb && cb({ ok:false, code:'INVALID_PAYLOAD', error:limit.error });
+      if(validationMode && !dictionary.VALIDATION_MODES.includes(validationMode)) return cb && cb({ ok:false, code:'INVALID_PAYLOAD', error:'Unknown validation mode' });
+      const fuzzy = fuzzyThreshold === undefined ? 0 : parseInt(fuzzyThreshold, 10); // typo merging is opt-in
+      if(isNaN(fuzzy) || fuzzy < 0 || fuzzy > matching.MAX_FUZZY_THRESHOLD) return cb && cb({ ok:false, code:'INVALID_PAYLOAD', error:`Typo tolerance must be 0-${matching.MAX_FUZZY_THRESHOLD}` });
+      const rules = sanitizeScoring(scoring);
+      if(rules.error) return cb && cb({ ok:false, code:'INVALID_PAYLOAD', error:rules.error });
+      const letters = sanitizeLetters({ alphabet, rounds, excludeLetters, letterPreset });
+      if(letters.error) return cb && cb({ ok:false, code:'INVALID_PAYLOAD', error:letters.error });
+      const teams = sanitizeTeams(teamMode, teamCount);
+      if(teams.error) return cb && cb({ ok:false, code:'INVALID_PAYLOAD', error:teams.error });
+      if(roomId){
+        const exists = await Room.findOne({ roomId });
+        if(exists) return cb && cb({ ok:false, code:'ROOM_EXISTS', error:'Room exists' });
+      } else {
+        roomId = await generateRoomCode();
+      }
 
       const r = new Room({
         roomId,
-        password: password || '',
-        hostSocket: socket.id,
-        players: [{ socketId: socket.id, name, score:0 }]
+        password: await passwords.hashPassword(password),
+        visibility: visibility || 'public',
+        categories: cats.categories,
+        timeLimit: limit.timeLimit,
+        validationMode: validationMode || 'off',
+        fuzzyThreshold: fuzzy,
+        scoring: rules.scoring,
+        alphabet: letters.alphabet,
+        totalRounds: letters.totalRounds,
+        letterPool: letters.letterPool,
+        teamMode: !!teams.teams,
+        teams: teams.teams || undefined,
+        players: [{ name, score:0, team: teams.teams ? teams.teams[0] : undefined }]
       });
+      const me = r.players[0];
+      r.hostId = me.playerId;
+      bindSocket(socket, r, me);
       await r.save();
-      socket.join(roomId);
       answersMap[roomId] = {};
       io.to(roomId).emit('roomUpdate', r);
-      cb && cb({ ok:true, room:r });
-    } catch(e) { console.error(e); cb && cb({ ok:false, error:'server error' }); }
+      cb && cb(sessionPayload(r, me));
+    } catch(e) { console.error(e); cb && cb({ ok:false, code:'SERVER_ERROR', error:'server error' }); }
   });
 
   // join room
-  socket.on('joinRoom', async ({ roomId, name, password }, cb) => {
+  socket.on('joinRoom', async ({ roomId, name, password, token }, cb) => {
     try {
-      if(!roomId || !name) return cb && cb({ ok:false, error:'roomId & name required' });
+      if(!roomId || !name) return cb && cb({ ok:false, code:'INVALID_PAYLOAD', error:'roomId & name required' });
       const room = await Room.findOne({ roomId });
-      if(!room) return cb && cb({ ok:false, error:'No such room' });
-      if(room.players.length >= MAX_PLAYERS) return cb && cb({ ok:false, error:'Room full' });
-      if(room.password && room.password !== (password || '')) return cb && cb({ ok:false, error:'Wrong password' });
+      if(!room || room.state === 'abandoned') return cb && cb({ ok:false, code:'NOT_FOUND', error:'No such room' });
+      // `token`: the session the browser had when it was banned, kept so a reload / new socket can't rejoin
+      if((socket.data.bannedFrom || []).includes(roomId) || (token && room.bannedTokens.includes(token))) return cb && cb({ ok:false, code:'BANNED', error:'You are banned from this room' });
+      if(room.locked) return cb && cb({ ok:false, code:'ROOM_LOCKED', error:'Room is locked' });
+      if(room.players.length >= MAX_PLAYERS) return cb && cb({ ok:false, code:'ROOM_FULL', error:'Room full' });
+      if(!(await passwords.verifyPassword(room.password, password))) return cb && cb({ ok:false, code:'WRONG_PASSWORD', error:'Wrong password' });
+
+      room.players.push({ name, score:0, team: room.teamMode ? smallestTeam(room) : undefined });
+      const me = room.players[room.players.length - 1];
+      bindSocket(socket, room, me);
+      await room.save();
+      io.to(roomId).emit('roomUpdate', room);
+      cb && cb(sessionPayload(room, me));
+      await sendChatHistory(socket, roomId);
+    } catch(e){ console.error(e); cb && cb({ ok:false, code:'SERVER_ERROR', error:'server error' }); }
+  });
 
-      room.players.push({ socketId: socket.id, name, score:0 });
+  // rejoin room (same player after a dropped connection / page reload, within the grace window)
+  socket.on('rejoinRoom', async ({ roomId, token }, cb) => {
+    try {
+      if(!roomId || !token) return cb && cb({ ok:false, code:'INVALID_PAYLOAD', error:'roomId & token required' });
+      const room = await Room.findOne({ roomId });
+      if(!room) return cb && cb({ ok:false, code:'NOT_FOUND', error:'No such room' });
+      if(room.bannedTokens.includes(token)) return cb && cb({ ok:false, code:'BANNED', error:'You are banned from this room' });
+      const me = room.players.find(p => p.token === token);
+      if(!me) return cb && cb({ ok:false, code:'SESSION_EXPIRED', error:'Session expired' });
+
+      // an old socket that is still around no longer speaks for this player
+      if(me.socketId && me.socketId !== socket.id){
+        detachSocket({ socketId: me.socketId, playerId: me.playerId, roomId });
+      }
+      bindSocket(socket, room, me);
       await room.save();
+      io.to(roomId).emit('roomUpdate', room);
+
+      // current round state so the client can put the player back where they were
+      const bucket = (answersMap[roomId] && answersMap[roomId][room.round]) || null;
+      const entry = (bucket && bucket[me.playerId]) || {};
+      cb && cb({
+        ...sessionPayload(room, me),
+        ...roundState(room),
+        answers: entry.answers || {},
+        submitted: !!entry.submittedAt
+      });
+      if(bucket && bucket._scored) socket.emit('roundScored', roundScoredPayload(room, room.round));
+      await sendChatHistory(socket, roomId);
+    } catch(e){ console.error(e); cb && cb({ ok:false, code:'SERVER_ERROR', error:'server error' }); }
+  });
+
+  // spectate room: read-only seat that doesn't take a player slot, never scores or submits
+  socket.on('spectateRoom', async ({ roomId, name, password }, cb) => {
+    try {
+      if(!roomId) return cb && cb({ ok:false, code:'INVALID_PAYLOAD', error:'roomId required' });
+      const room = await Room.findOne({ roomId });
+      if(!room || room.state === 'abandoned') return cb && cb({ ok:false, code:'NOT_FOUND', error:'No such room' });
+      if(!(await passwords.verifyPassword(room.password, password))) return cb && cb({ ok:false, code:'WRONG_PASSWORD', error:'Wrong password' });
+      const watching = room.spectators.some(sp => sp.socketId === socket.id); // same socket spectating again
+      if(!watching && room.spectators.length >= MAX_SPECTATORS) return cb && cb({ ok:false, code:'ROOM_FULL', error:'Too many spectators' });
+
+      if(!watching){
+        room.spectators.push({ socketId: socket.id, name: (name || '').trim() || 'Spectator' });
+        await room.save();
+      }
+      socket.data.roomId = roomId;
+      socket.data.spectator = true;
       socket.join(roomId);
       io.to(roomId).emit('roomUpdate', room);
-      cb && cb({ ok:true, room });
-    } catch(e){ console.error(e); cb && cb({ ok:false, error:'server error' }); }
+
+      cb && cb({ ok:true, room, ...roundState(room) });
+      const bucket = answersMap[roomId] && answersMap[roomId][room.round];
+      if(bucket && bucket._scored) socket.emit('roundScored', roundScoredPayload(room, room.round));
+      await sendChatHistory(socket, roomId);
+    } catch(e){ console.error(e); cb && cb({ ok:false, code:'SERVER_ERROR', error:'server error' }); }
+  });
+
+  // presenter display (big screen): listens to the room's events, not listed as player or spectator
+  socket.on('presentRoom', async ({ roomId, password }, cb) => {
+    try {
+      if(!roomId) return cb && cb({ ok:false, code:'INVALID_PAYLOAD', error:'roomId required' });
+      const room = await Room.findOne({ roomId });
+      if(!room) return cb && cb({ ok:false, code:'NOT_FOUND', error:'No such room' });
+      if(!(await passwords.verifyPassword(room.password, password))) return cb && cb({ ok:false, code:'WRONG_PASSWORD', error:'Wrong password' });
+
+      socket.join(roomId);
+      cb && cb({ ok:true, room, ...roundState(room) });
+      const bucket = answersMap[roomId] && answersMap[roomId][room.round];
+      if(bucket && bucket._scored) socket.emit('roundScored', roundScoredPayload(room, room.round));
+    } catch(e){ console.error(e); cb && cb({ ok:false, code:'SERVER_ERROR', error:'server error' }); }
   });
 
   // start game (host)
   socket.on('startGame', async ({ roomId }, cb) => {
     try {
       const room = await Room.findOne({ roomId });
-      if(!room) return cb && cb({ ok:false, error:'No room' });
-      if(room.hostSocket !== socket.id) return cb && cb({ ok:false, error:'Only host' });
+      if(!room) return cb && cb({ ok:false, code:'NOT_FOUND', error:'No room' });
+      if(room.hostId !== socket.data.playerId) return cb && cb({ ok:false, code:'NOT_HOST', error:'Only host' });
+      // a finished game goes back to the lobby with rematch first (scores reset there)
+      if(room.state !== 'lobby') return cb && cb({ ok:false, code:'INVALID_STATE', error:'Game already started' });
+      if(room.teamMode){
+        room.players.forEach(p => { if(!room.teams.includes(p.team)) p.team = smallestTeam(room); });
+        if(new Set(room.players.map(p => p.team)).size < MIN_TEAMS) return cb && cb({ ok:false, code:'INVALID_STATE', error:`Team mode needs players in at least ${MIN_TEAMS} teams` });
+      }
+      const claim = await Room.updateOne({ roomId, state: 'lobby' }, { $set: { state: 'playing' } });
+      if(!claim.modifiedCount) return cb && cb({ ok:false, code:'INVALID_STATE', error:'Game already started' });
 
+      room.state = 'playing';
       room.round = 1;
-      room.usedLetters = room.usedLetters || [];
-      const letter = pickLetter(room.usedLetters || []);
+      room.gameStartedAt = new Date();
+      room.usedLetters = [];
+      room.skippedLetters = [];
+      room.paused = false;
+      room.pausedRemaining = undefined;
+      const letter = pickLetter(room.usedLetters, letterPool(room));
       room.usedLetters.push(letter);
+      armRoundTimer(room);
       await room.save();
 
-      answersMap[roomId] = {};
-      answersMap[roomId][room.round] = { _scored: false };
-      io.to(roomId).emit('roundStarted', { round: room.round, letter, rounds:26 });
+      await resetRoomAnswers(roomId);
+      ensureRound(roomId, room.round);
+      await saveRoundStart(roomId, room.round);
+      io.to(roomId).emit('roundStarted', { round: room.round, letter, rounds: totalRounds(room), categories: roomCategories(room), ...timingPayload(room) });
       io.to(roomId).emit('roomUpdate', room);
+      await startBots(room);
       cb && cb({ ok:true });
-    } catch(e){ console.error(e); cb && cb({ ok:false, error:'server error' }); }
+    } catch(e){ console.error(e); cb && cb({ ok:false, code:'SERVER_ERROR', error:'server error' }); }
   });
 
   // update partial answers (draft save while typing)
   socket.on('updateAnswers', async ({ roomId, round, answers }, cb) => {
     try {
-      if(!answersMap[roomId]) answersMap[roomId] = {};
-      if(!answersMap[roomId][round]) answersMap[roomId][round] = { _scored: false };
-      const prev = answersMap[roomId][round][socket.id] || {};
-      answersMap[roomId][round][socket.id] = { ...prev, answers }; // keep submittedAt if present
+      const pid = socket.data.playerId;
+      if(!pid || socket.data.roomId !== roomId) return cb && cb({ ok:false, code:'NOT_IN_ROOM', error:'Not in room' });
+      // drafts only for the round being played: a late debounced draft must not rewrite a scored round
+      const room = await Room.findOne({ roomId });
+      if(!room) return cb && cb({ ok:false, code:'NOT_FOUND', error:'No room' });
+      if(room.state !== 'playing' || Number(round) !== room.round) return cb && cb({ ok:false, code:'INVALID_STATE', error:'Round is over' });
+      const bucket = ensureRound(roomId, round);
+      if(bucket._scored) return cb && cb({ ok:false, code:'INVALID_STATE', error:'Round is over' });
+      // submitted answers are final: no filling in the sheet during the grace window
+      if(bucket[pid] && bucket[pid].submittedAt) return cb && cb({ ok:false, code:'INVALID_STATE', error:'Answers already submitted' });
+      bucket[pid] = { ...(bucket[pid] || {}), answers };
+      await saveEntry(roomId, round, pid);
       cb && cb({ ok:true });
-    } catch (e) { console.error(e); cb && cb({ ok:false }); }
+    } catch (e) { console.error(e); cb && cb({ ok:false, code:'SERVER_ERROR', error:'server error' }); }
   });
 
   // submit answers (explicit)
   socket.on('submitAnswers', async ({ roomId, round, answers }, cb) => {
     try {
       const room = await Room.findOne({ roomId });
-      if(!room) return cb && cb({ ok:false, error:'No room' });
-
-      if(!answersMap[roomId]) answersMap[roomId] = {};
-      if(!answersMap[roomId][round]) answersMap[roomId][round] = { _scored: false };
-      answersMap[roomId][round][socket.id] = { answers, submittedAt: new Date() };
-
-      // update player's lastSubmitAt
-      const pl = room.players.find(p => p.socketId === socket.id);
-      if(pl){ pl.lastSubmitAt = new Date(); await room.save(); }
-
-      io.to(roomId).emit('playerSubmitted', { socketId: socket.id, round });
-
-      // if all submitted -> score (no auto-advance)
-      const submittedCount = Object.keys(answersMap[roomId][round]).filter(k => k !== '_scored').length;
-      if(submittedCount >= room.players.length){
-        await scoreRound(roomId, round);
-      }
+      if(!room) return cb && cb({ ok:false, code:'NOT_FOUND', error:'No room' });
+      const pl = socketPlayer(room, socket);
+      if(!pl) return cb && cb({ ok:false, code:'NOT_IN_ROOM', error:'Not in room' });
+      if(Number(round) !== room.round) return cb && cb({ ok:false, code:'INVALID_STATE', error:'Round is over' });
+      if(room.state !== 'playing') return cb && cb({ ok:false, code:'INVALID_STATE', error:'Round is over' });
+      if(room.paused) return cb && cb({ ok:false, code:'PAUSED', error:'Game is paused' });
+      const bucket = ensureRound(roomId, round);
+      if(bucket._scored) return cb && cb({ ok:false, code:'INVALID_STATE', error:'Round is over' });
+      if(bucket[pl.playerId] && bucket[pl.playerId].submittedAt) return cb && cb({ ok:false, code:'INVALID_STATE', error:'Answers already submitted' });
+
+      await recordSubmission(room, pl, room.round, answers);
       cb && cb({ ok:true });
-    } catch(e){ console.error(e); cb && cb({ ok:false, error:'server error' }); }
+    } catch(e){ console.error(e); cb && cb({ ok:false, code:'SERVER_ERROR', error:'server error' }); }
   });
 
-  // force score (grace end). Scores current state but DOES NOT auto-advance
+  // force score (host ends the round early). Scores current state but DOES NOT auto-advance
   socket.on('forceScore', async ({ roomId, round }, cb) => {
     try {
-      await scoreRound(roomId, round);
+      const room = await Room.findOne({ roomId });
+      if(!room) return cb && cb({ ok:false, code:'NOT_FOUND', error:'No room' });
+      if(room.hostId !== socket.data.playerId) return cb && cb({ ok:false, code:'NOT_HOST', error:'Only host' });
+      if(room.state !== 'playing') return cb && cb({ ok:false, code:'INVALID_STATE', error:'No round in progress' });
+      // only the running round can be ended; `round` (optional) just guards against a stale client
+      if(round !== undefined && Number(round) !== room.round) return cb && cb({ ok:false, code:'INVALID_STATE', error:'Round is over' });
+      await scoreRound(roomId, room.round);
       cb && cb({ ok:true });
-    } catch(e){ console.error(e); cb && cb({ ok:false }); }
+    } catch(e){ console.error(e); cb && cb({ ok:false, code:'SERVER_ERROR', error:'server error' }); }
   });
 
   // nextRound (host-triggered) -> starts the next round only when host clicks Next
   socket.on('nextRound', async ({ roomId }, cb) => {
     try {
-      const room = await Room.findOne({ roomId });
-      if(!room) return cb && cb({ ok:false, error:'No room' });
-      if(room.hostSocket !== socket.id) return cb && cb({ ok:false, error:'Only host' });
+      let room = await Room.findOne({ roomId });
+      if(!room) return cb && cb({ ok:false, code:'NOT_FOUND', error:'No room' });
+      if(room.hostId !== socket.data.playerId) return cb && cb({ ok:false, code:'NOT_HOST', error:'Only host' });
+      if(room.paused) return cb && cb({ ok:false, code:'PAUSED', error:'Game is paused' });
+      if(room.state !== 'results') return cb && cb({ ok:false, code:'INVALID_STATE', error:'Round is not scored yet' });
+      // claimed in Mongo so a double-click (or another instance) can't advance the same round twice
+      const claim = await Room.updateOne({ roomId, state: 'results', round: room.round }, { $set: { state: 'playing' } });
+      if(!claim.modifiedCount) return cb && cb({ ok:false, code:'INVALID_STATE', error:'Round already advanced' });
+
+      // votes still open on the finished round are settled with what has been cast
+      await resolveOpenChallenges(roomId, room.round);
+      // the votes may have changed scores (saved on another copy of the room): go on from the fresh one
+      room = await Room.findOne({ roomId });
+      if(!room) return cb && cb({ ok:false, code:'NOT_FOUND', error:'No room' });
 
       room.round = (room.round || 0) + 1;
-      if(room.round > 26){
-        io.to(roomId).emit('gameOver', { totals: room.players.map(p => ({ name: p.name, score: p.score })) });
+      room.usedLetters = room.usedLetters || [];
+      const letter = room.round <= totalRounds(room)
+        ? pickLetter([...room.usedLetters, ...(room.skippedLetters || [])], letterPool(room))
+        : null;
+      if(!letter){
+        room.round = totalRounds(room) + 1; // also when skips used up the pool early
+        room.state = 'finished';
         await room.save();
+        const game = await archiveGame(room);
+        io.to(roomId).emit('gameOver', { gameId: game._id, totals: playerTotals(room), teams: teamTotals(room) });
         return cb && cb({ ok:true });
       }
 
-      room.usedLetters = room.usedLetters || [];
-      const letter = pickLetter(room.usedLetters);
       room.usedLetters.push(letter);
+      room.state = 'playing';
+      armRoundTimer(room);
       await room.save();
 
       if(!answersMap[roomId]) answersMap[roomId] = {};
       answersMap[roomId][room.round] = { _scored: false };
+      await saveRoundStart(roomId, room.round);
 
-      io.to(roomId).emit('roundStarted', { round: room.round, letter, rounds:26 });
+      io.to(roomId).emit('roundStarted', { round: room.round, letter, rounds: totalRounds(room), categories: roomCategories(room), ...timingPayload(room) });
       io.to(roomId).emit('roomUpdate', room);
+      await startBots(room);
       cb && cb({ ok:true });
-    } catch(e){ console.error(e); cb && cb({ ok:false, error:'server error' }); }
+    } catch(e){ console.error(e); cb && cb({ ok:false, code:'SERVER_ERROR', error:'server error' }); }
   });
 
-  // Host can invalidate/restore an individual player's category answer for a round
-  socket.on('invalidateAnswer', async ({ roomId, round, targetSocketId, category, invalidate }, cb) => {
+  // rematch (host, after gameOver): same players and settings, scores / letters / rounds reset, back to the lobby
+  socket.on('rematch', async ({ roomId }, cb) => {
+    try {
+      const room = await Room.findOne({ roomId });
+      if(!room) return cb && cb({ ok:false, code:'NOT_FOUND', error:'No room' });
+      if(room.hostId !== socket.data.playerId) return cb && cb({ ok:false, code:'NOT_HOST', error:'Only host' });
+      if(room.state !== 'finished') return cb && cb({ ok:false, code:'INVALID_STATE', error:'Game is not over' });
+
+      room.state = 'lobby';
+      room.round = 0;
+      room.gameStartedAt = undefined;
+      room.usedLetters = [];
+      room.skippedLetters = [];
+      room.roundDeadline = undefined;
+      room.graceDeadline = undefined;
+      room.paused = false;
+      room.pausedRemaining = undefined;
+      room.exportToken = undefined;
+      room.exportTokenExpiresAt = undefined;
+      room.players.forEach(p => {
+        p.score = 0;
+        p.lastSubmitAt = undefined;
+        p.answers = {};
+      });
+      stopRoundTimers(roomId);
+      stopBotTimers(roomId);
+      await room.save();
+      await resetRoomAnswers(roomId);
+
+      io.to(roomId).emit('rematchStarted', { roomId });
+      io.to(roomId).emit('roomUpdate', room);
+      cb && cb({ ok:true });
+    } catch(e){ console.error(e); cb && cb({ ok:false, code:'SERVER_ERROR', error:'server error' }); }
+  });
+
+  // host adds a computer player (lobby only); bots are removed like players, with kickPlayer
+  socket.on('addBot', async ({ roomId, difficulty }, cb) => {
     try {
       const room = await Room.findOne({ roomId });
-      if (!room) return cb && cb({ ok:false, error:'No room' });
-      if (room.hostSocket !== socket.id) return cb && cb({ ok:false, error:'Only host' });
+      if(!room) return cb && cb({ ok:false, code:'NOT_FOUND', error:'No room' });
+      if(room.hostId !== socket.data.playerId) return cb && cb({ ok:false, code:'NOT_HOST', error:'Only host' });
+      if(room.state !== 'lobby') return cb && cb({ ok:false, code:'INVALID_STATE', error:'Bots can only be added in the lobby' });
+      if(difficulty && !bots.DIFFICULTIES[difficulty]) return cb && cb({ ok:false, code:'INVALID_PAYLOAD', error:'Unknown difficulty' });
+      if(room.players.length >= MAX_PLAYERS) return cb && cb({ ok:false, code:'ROOM_FULL', error:'Room full' });
+
+      room.players.push({
+        name: bots.botName(room.players.map(p => p.name)),
+        bot: true,
+        botDifficulty: difficulty || bots.DEFAULT_DIFFICULTY,
+        team: room.teamMode ? smallestTeam(room) : undefined,
+        score: 0
+      });
+      await room.save();
+      io.to(roomId).emit('roomUpdate', room);
+      cb && cb({ ok:true, playerId: room.players[room.players.length - 1].playerId });
+    } catch(e){ console.error(e); cb && cb({ ok:false, code:'SERVER_ERROR', error:'server error' }); }
+  });
 
-      if (!answersMap[roomId] || !answersMap[roomId][round]) return cb && cb({ ok:false, error:'No answers for round' });
-      if (!answersMap[roomId][round][targetSocketId]) return cb && cb({ ok:false, error:'Target player has no answers' });
+  // team mode on / off in the lobby (host); players are dealt into the teams
+  socket.on('setTeamMode', async ({ roomId, enabled, teamCount }, cb) => {
+    try {
+      const room = await Room.findOne({ roomId });
+      if(!room) return cb && cb({ ok:false, code:'NOT_FOUND', error:'No room' });
+      if(room.hostId !== socket.data.playerId) return cb && cb({ ok:false, code:'NOT_HOST', error:'Only host' });
+      if(room.state !== 'lobby') return cb && cb({ ok:false, code:'INVALID_STATE', error:'Teams can only change in the lobby' });
+      const teams = sanitizeTeams(enabled, teamCount);
+      if(teams.error) return cb && cb({ ok:false, code:'INVALID_PAYLOAD', error:teams.error });
+
+      room.teamMode = !!teams.teams;
+      room.teams = teams.teams || undefined;
+      if(room.teamMode) balanceTeams(room);
+      else room.players.forEach(p => { p.team = undefined; });
+      await room.save();
+      io.to(roomId).emit('roomUpdate', room);
+      cb && cb({ ok:true });
+    } catch(e){ console.error(e); cb && cb({ ok:false, code:'SERVER_ERROR', error:'server error' }); }
+  });
 
-      answersMap[roomId][round][targetSocketId].invalid = answersMap[roomId][round][targetSocketId].invalid || {};
-      answersMap[roomId][round][targetSocketId].invalid[category] = !!invalidate;
+  // host moves a player to another team (lobby only)
+  socket.on('assignTeam', async ({ roomId, targetPlayerId, team }, cb) => {
+    try {
+      const room = await Room.findOne({ roomId });
+      if(!room) return cb && cb({ ok:false, code:'NOT_FOUND', error:'No room' });
+      if(room.hostId !== socket.data.playerId) return cb && cb({ ok:false, code:'NOT_HOST', error:'Only host' });
+      if(!room.teamMode) return cb && cb({ ok:false, code:'INVALID_STATE', error:'Team mode is off' });
+      if(room.state !== 'lobby') return cb && cb({ ok:false, code:'INVALID_STATE', error:'Teams can only change in the lobby' });
+      if(!room.teams.includes(team)) return cb && cb({ ok:false, code:'INVALID_PAYLOAD', error:'Unknown team' });
+      const target = room.players.find(p => p.playerId === targetPlayerId);
+      if(!target) return cb && cb({ ok:false, code:'NOT_FOUND', error:'No such player' });
+
+      target.team = team;
+      await room.save();
+      io.to(roomId).emit('roomUpdate', room);
+      cb && cb({ ok:true });
+    } catch(e){ console.error(e); cb && cb({ ok:false, code:'SERVER_ERROR', error:'server error' }); }
+  });
+
+  // host reshuffles everyone into evenly sized teams (lobby only)
+  socket.on('balanceTeams', async ({ roomId }, cb) => {
+    try {
+      const room = await Room.findOne({ roomId });
+      if(!room) return cb && cb({ ok:false, code:'NOT_FOUND', error:'No room' });
+      if(room.hostId !== socket.data.playerId) return cb && cb({ ok:false, code:'NOT_HOST', error:'Only host' });
+      if(!room.teamMode) return cb && cb({ ok:false, code:'INVALID_STATE', error:'Team mode is off' });
+      if(room.state !== 'lobby') return cb && cb({ ok:false, code:'INVALID_STATE', error:'Teams can only change in the lobby' });
+
+      balanceTeams(room);
+      await room.save();
+      io.to(roomId).emit('roomUpdate', room);
+      cb && cb({ ok:true });
+    } catch(e){ console.error(e); cb && cb({ ok:false, code:'SERVER_ERROR', error:'server error' }); }
+  });
+
+  // Host can skip the current letter and draw another one, as long as nobody has submitted yet
+  socket.on('rerollLetter', async ({ roomId }, cb) => {
+    try {
+      const room = await Room.findOne({ roomId });
+      if(!room) return cb && cb({ ok:false, code:'NOT_FOUND', error:'No room' });
+      if(room.hostId !== socket.data.playerId) return cb && cb({ ok:false, code:'NOT_HOST', error:'Only host' });
+      if(!room.round || room.round > totalRounds(room)) return cb && cb({ ok:false, code:'INVALID_STATE', error:'No round in progress' });
+      if(room.paused) return cb && cb({ ok:false, code:'PAUSED', error:'Game is paused' });
+
+      const bucket = ensureRound(roomId, room.round);
+      if(bucket._scored || Object.keys(bucket).some(k => k !== '_scored' && bucket[k].submittedAt)) {
+        return cb && cb({ ok:false, code:'INVALID_STATE', error:'Answers are already in' });
+      }
+
+      // the skipped letter is not drawn again this game
+      const skipped = room.usedLetters[room.round - 1];
+      const letter = pickLetter([...room.usedLetters, ...(room.skippedLetters || [])], letterPool(room));
+      if(!letter) return cb && cb({ ok:false, code:'INVALID_STATE', error:'No letters left' });
+      room.skippedLetters = [...(room.skippedLetters || []), skipped];
+      room.usedLetters.set(room.round - 1, letter);
+      armRoundTimer(room);
+      await room.save();
+
+      // drafts were typed for the old letter
+      answersMap[roomId][room.round] = { _scored: false };
+      await saveRoundStart(roomId, room.round);
+
+      io.to(roomId).emit('roundStarted', { round: room.round, letter, rounds: totalRounds(room), categories: roomCategories(room), rerolled: true, ...timingPayload(room) });
+      io.to(roomId).emit('roomUpdate', room);
+      await startBots(room);
+      cb && cb({ ok:true });
+    } catch(e){ console.error(e); cb && cb({ ok:false, code:'SERVER_ERROR', error:'server error' }); }
+  });
+
+  // Host asks for a short-lived token to download the answers export
+  socket.on('requestExport', async ({ roomId }, cb) => {
+    try {
+      const room = await Room.findOne({ roomId });
+      if(!room) return cb && cb({ ok:false, code:'NOT_FOUND', error:'No room' });
+      if(room.hostId !== socket.data.playerId) return cb && cb({ ok:false, code:'NOT_HOST', error:'Only host' });
+
+      room.exportToken = crypto.randomBytes(24).toString('hex');
+      room.exportTokenExpiresAt = new Date(Date.now() + EXPORT_TOKEN_TTL_MS);
+      await room.save();
+      cb && cb({ ok:true, token: room.exportToken, expiresAt: room.exportTokenExpiresAt.getTime() });
+    } catch(e){ console.error(e); cb && cb({ ok:false, code:'SERVER_ERROR', error:'server error' }); }
+  });
+
+  // Host moderation: kick a player (they may join again)
+  socket.on('kickPlayer', async ({ roomId, targetPlayerId }, cb) => {
+    try {
+      const room = await Room.findOne({ roomId });
+      if(!room) return cb && cb({ ok:false, code:'NOT_FOUND', error:'No room' });
+      if(room.hostId !== socket.data.playerId) return cb && cb({ ok:false, code:'NOT_HOST', error:'Only host' });
+      const target = room.players.find(p => p.playerId === targetPlayerId);
+      if(!target) return cb && cb({ ok:false, code:'NOT_FOUND', error:'No such player' });
+      if(target.playerId === room.hostId) return cb && cb({ ok:false, code:'NOT_ALLOWED', error:'Host cannot kick themselves' });
+
+      await removePlayer(room, target, 'kicked');
+      cb && cb({ ok:true });
+    } catch(e){ console.error(e); cb && cb({ ok:false, code:'SERVER_ERROR', error:'server error' }); }
+  });
+
+  // Host moderation: ban a player's session for the room's lifetime
+  socket.on('banPlayer', async ({ roomId, targetPlayerId }, cb) => {
+    try {
+      const room = await Room.findOne({ roomId });
+      if(!room) return cb && cb({ ok:false, code:'NOT_FOUND', error:'No room' });
+      if(room.hostId !== socket.data.playerId) return cb && cb({ ok:false, code:'NOT_HOST', error:'Only host' });
+      const target = room.players.find(p => p.playerId === targetPlayerId);
+      if(!target) return cb && cb({ ok:false, code:'NOT_FOUND', error:'No such player' });
+      if(target.playerId === room.hostId) return cb && cb({ ok:false, code:'NOT_ALLOWED', error:'Host cannot ban themselves' });
+
+      room.bannedTokens.push(target.token);
+      await removePlayer(room, target, 'banned');
+      cb && cb({ ok:true });
+    } catch(e){ console.error(e); cb && cb({ ok:false, code:'SERVER_ERROR', error:'server error' }); }
+  });
+
+  // Host hands the host role to another player
+  socket.on('transferHost', async ({ roomId, targetPlayerId }, cb) => {
+    try {
+      const room = await Room.findOne({ roomId });
+      if(!room) return cb && cb({ ok:false, code:'NOT_FOUND', error:'No room' });
+      if(room.hostId !== socket.data.playerId) return cb && cb({ ok:false, code:'NOT_HOST', error:'Only host' });
+      const target = room.players.find(p => p.playerId === targetPlayerId);
+      if(!target) return cb && cb({ ok:false, code:'NOT_FOUND', error:'No such player' });
+      if(target.bot) return cb && cb({ ok:false, code:'NOT_ALLOWED', error:'A bot cannot host' });
+
+      room.hostId = targetPlayerId;
+      await room.save();
+      io.to(roomId).emit('roomUpdate', room);
+      cb && cb({ ok:true });
+    } catch(e){ console.error(e); cb && cb({ ok:false, code:'SERVER_ERROR', error:'server error' }); }
+  });
+
+  // Host locks / unlocks the room against new players (rejoins and spectators still allowed)
+  socket.on('lockRoom', async ({ roomId, locked }, cb) => {
+    try {
+      const room = await Room.findOne({ roomId });
+      if(!room) return cb && cb({ ok:false, code:'NOT_FOUND', error:'No room' });
+      if(room.hostId !== socket.data.playerId) return cb && cb({ ok:false, code:'NOT_HOST', error:'Only host' });
+
+      room.locked = !!locked;
+      await room.save();
+      io.to(roomId).emit('roomUpdate', room);
+      cb && cb({ ok:true });
+    } catch(e){ console.error(e); cb && cb({ ok:false, code:'SERVER_ERROR', error:'server error' }); }
+  });
+
+  // Host pauses the running round: timers stop and the time left is kept for resume
+  socket.on('pauseGame', async ({ roomId }, cb) => {
+    try {
+      const room = await Room.findOne({ roomId });
+      if(!room) return cb && cb({ ok:false, code:'NOT_FOUND', error:'No room' });
+      if(room.hostId !== socket.data.playerId) return cb && cb({ ok:false, code:'NOT_HOST', error:'Only host' });
+      if(room.paused) return cb && cb({ ok:false, code:'INVALID_STATE', error:'Already paused' });
+      const bucket = answersMap[roomId] && answersMap[roomId][room.round];
+      if(!room.round || room.round > totalRounds(room) || !bucket || bucket._scored) return cb && cb({ ok:false, code:'INVALID_STATE', error:'No round in progress' });
+
+      const now = Date.now();
+      stopRoundTimers(roomId);
+      room.pausedRemaining = {
+        round: room.roundDeadline ? Math.max(0, room.roundDeadline.getTime() - now) : undefined,
+        grace: room.graceDeadline ? Math.max(0, room.graceDeadline.getTime() - now) : undefined
+      };
+      room.roundDeadline = undefined;
+      room.graceDeadline = undefined;
+      room.paused = true;
+      await room.save();
+
+      io.to(roomId).emit('gamePaused', { paused: true, ...timingPayload(room) });
+      io.to(roomId).emit('roomUpdate', room);
+      cb && cb({ ok:true });
+    } catch(e){ console.error(e); cb && cb({ ok:false, code:'SERVER_ERROR', error:'server error' }); }
+  });
+
+  // Host resumes: deadlines continue from where they stopped
+  socket.on('resumeGame', async ({ roomId }, cb) => {
+    try {
+      const room = await Room.findOne({ roomId });
+      if(!room) return cb && cb({ ok:false, code:'NOT_FOUND', error:'No room' });
+      if(room.hostId !== socket.data.playerId) return cb && cb({ ok:false, code:'NOT_HOST', error:'Only host' });
+      if(!room.paused) return cb && cb({ ok:false, code:'INVALID_STATE', error:'Not paused' });
+
+      const now = Date.now();
+      const left = room.pausedRemaining || {};
+      room.roundDeadline = typeof left.round === 'number' ? new Date(now + left.round) : undefined;
+      room.graceDeadline = typeof left.grace === 'number' ? new Date(now + left.grace) : undefined;
+      room.paused = false;
+      room.pausedRemaining = undefined;
+      [room.roundDeadline, room.graceDeadline].filter(Boolean).forEach(at => scheduleScoring(roomId, room.round, at));
+      await room.save();
+
+      io.to(roomId).emit('gamePaused', { paused: false, ...timingPayload(room) });
+      io.to(roomId).emit('roomUpdate', room);
+      cb && cb({ ok:true });
+    } catch(e){ console.error(e); cb && cb({ ok:false, code:'SERVER_ERROR', error:'server error' }); }
+  });
+
+  // In-room chat (players only; off while a round is being answered so nobody shares answers)
+  socket.on('chatMessage', async ({ roomId, text }, cb) => {
+    try {
+      const room = await Room.findOne({ roomId });
+      if(!room) return cb && cb({ ok:false, code:'NOT_FOUND', error:'No room' });
+      const me = socketPlayer(room, socket);
+      if(!me) return cb && cb({ ok:false, code:'NOT_IN_ROOM', error:'Not in room' });
+      if(room.mutedPlayerIds.includes(me.playerId)) return cb && cb({ ok:false, code:'NOT_ALLOWED', error:'You are muted' });
+      if(room.state === 'playing') return cb && cb({ ok:false, code:'INVALID_STATE', error:'Chat is off while answering' });
+      const clean = text.trim();
+      if(!clean) return cb && cb({ ok:false, code:'INVALID_PAYLOAD', error:'text required' });
+
+      const msg = await ChatMessage.create({
+        roomId,
+        playerId: me.playerId,
+        name: me.name,
+        text: room.profanityFilter ? profanity.clean(clean) : clean
+      });
+      io.to(roomId).emit('chatMessage', chatPayload(msg));
+      cb && cb({ ok:true });
+    } catch(e){ console.error(e); cb && cb({ ok:false, code:'SERVER_ERROR', error:'server error' }); }
+  });
+
+  // Emoji reaction on someone's answer in the results (toggles)
+  socket.on('reactAnswer', async ({ roomId, round, targetPlayerId, category, emoji }, cb) => {
+    try {
+      if(!REACTIONS.includes(emoji)) return cb && cb({ ok:false, code:'INVALID_PAYLOAD', error:'Unknown reaction' });
+      const room = await Room.findOne({ roomId });
+      if(!room) return cb && cb({ ok:false, code:'NOT_FOUND', error:'No room' });
+      const me = socketPlayer(room, socket);
+      if(!me) return cb && cb({ ok:false, code:'NOT_IN_ROOM', error:'Not in room' });
+      const bucket = answersMap[roomId] && answersMap[roomId][round];
+      if(!bucket || !bucket._scored) return cb && cb({ ok:false, code:'INVALID_STATE', error:'Round not in results' });
+      const entry = bucket[targetPlayerId];
+      if(!entry || !((entry.answers && entry.answers[category]) || '').trim()) return cb && cb({ ok:false, code:'NOT_FOUND', error:'Nothing to react to' });
+
+      // entry.reactions = { Category: { emoji: [playerId] } }
+      const who = (entry.reactions && entry.reactions[category] && entry.reactions[category][emoji]) || [];
+      await updateEntry(roomId, round, targetPlayerId, [{ op: who.includes(me.playerId) ? 'pull' : 'addToSet', path: ['reactions', category, emoji], value: me.playerId }]);
+
+      io.to(roomId).emit('answerReaction', { round, targetPlayerId, category, reactions: entry.reactions[category] });
+      cb && cb({ ok:true });
+    } catch(e){ console.error(e); cb && cb({ ok:false, code:'SERVER_ERROR', error:'server error' }); }
+  });
+
+  // Host mutes / unmutes a player in chat
+  socket.on('mutePlayer', async ({ roomId, targetPlayerId, muted }, cb) => {
+    try {
+      const room = await Room.findOne({ roomId });
+      if(!room) return cb && cb({ ok:false, code:'NOT_FOUND', error:'No room' });
+      if(room.hostId !== socket.data.playerId) return cb && cb({ ok:false, code:'NOT_HOST', error:'Only host' });
+      if(!room.players.some(p => p.playerId === targetPlayerId)) return cb && cb({ ok:false, code:'NOT_FOUND', error:'No such player' });
+
+      room.mutedPlayerIds = muted
+        ? [...new Set([...room.mutedPlayerIds, targetPlayerId])]
+        : room.mutedPlayerIds.filter(pid => pid !== targetPlayerId);
+      await room.save();
+      io.to(roomId).emit('roomUpdate', room);
+      cb && cb({ ok:true });
+    } catch(e){ console.error(e); cb && cb({ ok:false, code:'SERVER_ERROR', error:'server error' }); }
+  });
+
+  // Host turns the chat profanity filter on / off
+  socket.on('setProfanityFilter', async ({ roomId, enabled }, cb) => {
+    try {
+      const room = await Room.findOne({ roomId });
+      if(!room) return cb && cb({ ok:false, code:'NOT_FOUND', error:'No room' });
+      if(room.hostId !== socket.data.playerId) return cb && cb({ ok:false, code:'NOT_HOST', error:'Only host' });
+
+      room.profanityFilter = !!enabled;
+      await room.save();
+      io.to(roomId).emit('roomUpdate', room);
+      cb && cb({ ok:true });
+    } catch(e){ console.error(e); cb && cb({ ok:false, code:'SERVER_ERROR', error:'server error' }); }
+  });
+
+  // Host can invalidate/restore an individual player's category answer for a round
+  socket.on('invalidateAnswer', async ({ roomId, round, targetPlayerId, category, invalidate, reason }, cb) => {
+    try {
+      const room = await Room.findOne({ roomId });
+      if (!room) return cb && cb({ ok:false, code:'NOT_FOUND', error:'No room' });
+      if (room.hostId !== socket.data.playerId) return cb && cb({ ok:false, code:'NOT_HOST', error:'Only host' });
+
+      if (!answersMap[roomId] || !answersMap[roomId][round]) return cb && cb({ ok:false, code:'NOT_FOUND', error:'No answers for round' });
+      if (!answersMap[roomId][round][targetPlayerId]) return cb && cb({ ok:false, code:'NOT_FOUND', error:'Target player has no answers' });
+      if (!answersMap[roomId][round]._scored) return cb && cb({ ok:false, code:'INVALID_STATE', error:'Round is not scored yet' });
+
+      const entry = answersMap[roomId][round][targetPlayerId];
+      const host = socketPlayer(room, socket);
+      await updateEntry(roomId, round, targetPlayerId, [
+        { op: 'set', path: ['invalid', category], value: !!invalidate },
+        reviewOp(category, {
+          action: invalidate ? 'invalidate' : 'restore',
+          source: 'host',
+          by: host.playerId,
+          byName: host.name,
+          reason: (reason || '').trim() || null
+        })
+      ]);
+      // host decision overrides an open vote on the same answer
+      await resolveChallenge(roomId, round, targetPlayerId, category, 'host');
 
       // recompute totals and per-round contributions
       await recomputeRoundScores(roomId, round);
@@ -187,16 +1522,102 @@ io.on('connection', socket => {
       cb && cb({ ok:true });
     } catch (e) {
       console.error('invalidateAnswer error', e);
-      cb && cb({ ok:false, error:'server error' });
+      cb && cb({ ok:false, code:'SERVER_ERROR', error:'server error' });
+    }
+  });
+
+  // Host can split an answer out of a fuzzy/alias merge (or merge it back)
+  socket.on('splitAnswer', async ({ roomId, round, targetPlayerId, category, split }, cb) => {
+    try {
+      const room = await Room.findOne({ roomId });
+      if (!room) return cb && cb({ ok:false, code:'NOT_FOUND', error:'No room' });
+      if (room.hostId !== socket.data.playerId) return cb && cb({ ok:false, code:'NOT_HOST', error:'Only host' });
+
+      const entry = answersMap[roomId] && answersMap[roomId][round] && answersMap[roomId][round][targetPlayerId];
+      if (!entry) return cb && cb({ ok:false, code:'NOT_FOUND', error:'Target player has no answers' });
+      if (!answersMap[roomId][round]._scored) return cb && cb({ ok:false, code:'INVALID_STATE', error:'Round is not scored yet' });
+
+      await updateEntry(roomId, round, targetPlayerId, [{ op: 'set', path: ['unmerged', category], value: !!split }]);
+      await recomputeRoundScores(roomId, round);
+
+      cb && cb({ ok:true });
+    } catch (e) {
+      console.error('splitAnswer error', e);
+      cb && cb({ ok:false, code:'SERVER_ERROR', error:'server error' });
+    }
+  });
+
+  // any player can challenge someone else's answer during the results stage; everyone but the answer's owner votes
+  socket.on('challengeAnswer', async ({ roomId, round, targetPlayerId, category }, cb) => {
+    try {
+      const room = await Room.findOne({ roomId });
+      if (!room) return cb && cb({ ok:false, code:'NOT_FOUND', error:'No room' });
+      const me = socketPlayer(room, socket);
+      if (!me) return cb && cb({ ok:false, code:'NOT_IN_ROOM', error:'Not in room' });
+      if (me.playerId === targetPlayerId) return cb && cb({ ok:false, code:'NOT_ALLOWED', error:'Cannot challenge own answer' });
+
+      const bucket = answersMap[roomId] && answersMap[roomId][round];
+      if (!bucket || !bucket._scored || Number(round) !== room.round) return cb && cb({ ok:false, code:'INVALID_STATE', error:'Round not in results' });
+      const entry = bucket[targetPlayerId];
+      if (!entry || !entry.answers || !(entry.answers[category] || '').trim()) return cb && cb({ ok:false, code:'INVALID_STATE', error:'Nothing to challenge' });
+      if (entry.challenges && entry.challenges[category]) return cb && cb({ ok:false, code:'INVALID_STATE', error:'Already challenged' });
+
+      // the challenger votes like everyone else (nothing is cast for them)
+      const deadline = Date.now() + VOTE_SECONDS * 1000;
+      await updateEntry(roomId, round, targetPlayerId, [{ op: 'set', path: ['challenges', category], value: { by: me.playerId, deadline, minRejects: VOTE_MIN_REJECTS, votes: {}, resolved: false } }]);
+      scheduleVoteResolution(roomId, round, targetPlayerId, category, deadline);
+
+      io.to(roomId).emit('challengeUpdate', { round, targetPlayerId, category, challenge: entry.challenges[category], serverTime: Date.now() });
+      cb && cb({ ok:true });
+    } catch (e) {
+      console.error('challengeAnswer error', e);
+      cb && cb({ ok:false, code:'SERVER_ERROR', error:'server error' });
     }
   });
 
+  // vote on an open challenge; resolves early once every connected player (except the target) voted
+  socket.on('voteAnswer', async ({ roomId, round, targetPlayerId, category, vote }, cb) => {
+    try {
+      if (vote !== 'accept' && vote !== 'reject') return cb && cb({ ok:false, code:'INVALID_PAYLOAD', error:'Bad vote' });
+      const room = await Room.findOne({ roomId });
+      if (!room) return cb && cb({ ok:false, code:'NOT_FOUND', error:'No room' });
+      const me = socketPlayer(room, socket);
+      if (!me) return cb && cb({ ok:false, code:'NOT_IN_ROOM', error:'Not in room' });
+      if (me.playerId === targetPlayerId) return cb && cb({ ok:false, code:'NOT_ALLOWED', error:'Cannot vote on own answer' });
+
+      const entry = answersMap[roomId] && answersMap[roomId][round] && answersMap[roomId][round][targetPlayerId];
+      const challenge = entry && entry.challenges && entry.challenges[category];
+      if (!challenge || challenge.resolved) return cb && cb({ ok:false, code:'INVALID_STATE', error:'No open vote' });
+
+      await updateEntry(roomId, round, targetPlayerId, [{ op: 'set', path: ['challenges', category, 'votes', me.playerId], value: vote }]);
+      io.to(roomId).emit('challengeUpdate', { round, targetPlayerId, category, challenge, serverTime: Date.now() });
+
+      const voters = room.players.filter(p => p.connected !== false && !p.bot && p.playerId !== targetPlayerId);
+      if (voters.every(p => challenge.votes && challenge.votes[p.playerId])) await resolveChallenge(roomId, round, targetPlayerId, category);
+      cb && cb({ ok:true });
+    } catch (e) {
+      console.error('voteAnswer error', e);
+      cb && cb({ ok:false, code:'SERVER_ERROR', error:'server error' });
+    }
+  });
+
+  // keep the player (score, answers, host role) but mark them disconnected; sweepDisconnected
+  // removes them if they have not rejoined within RECONNECT_GRACE_MS
   socket.on('disconnecting', async () => {
     try {
+      // spectators just leave
+      const watched = await Room.find({ 'spectators.socketId': socket.id });
+      for(const r of watched){
+        r.spectators = r.spectators.filter(sp => sp.socketId !== socket.id);
+        await r.save();
+        io.to(r.roomId).emit('roomUpdate', r);
+      }
+
       const rooms = await Room.find({ 'players.socketId': socket.id });
       for(const r of rooms){
-        r.players = r.players.filter(p => p.socketId !== socket.id);
-        if(r.hostSocket === socket.id && r.players.length > 0) r.hostSocket = r.players[0].socketId;
+        const p = r.players.find(pl => pl.socketId === socket.id);
+        p.connected = false;
+        p.disconnectedAt = new Date();
         await r.save();
         io.to(r.roomId).emit('roomUpdate', r);
       }
@@ -204,86 +1625,66 @@ io.on('connection', socket => {
   });
 });
 
+setInterval(() => sweepDisconnected().catch(err => console.error('sweep error', err)), SWEEP_INTERVAL_MS);
+setInterval(() => sweepRooms().catch(err => console.error('room sweep error', err)), ROOM_SWEEP_INTERVAL_MS);
+
 /* scoring (only scoring; no auto-advance) */
 async function scoreRound(roomId, round) {
-  const room = await Room.findOne({ roomId });
-  if (!room) return;
-
-  // guard: skip if already scored
+  // guard: skip if already scored. Claimed synchronously so the grace timer and the
+  // last submission can't both score the same round, then in Mongo so another instance can't either.
   if (answersMap[roomId] && answersMap[roomId][round] && answersMap[roomId][round]._scored) {
     console.log('Round already scored', roomId, round);
     return;
   }
+  const existed = !!(answersMap[roomId] && answersMap[roomId][round]);
+  ensureRound(roomId, round)._scored = true;
 
-  const answersForRound = (answersMap[roomId] && answersMap[roomId][round]) || {};
-  const categories = ['Name', 'City', 'Thing', 'Animal'];
-
-  // find current round letter
-  const currentLetter = (room.usedLetters || [])[round - 1] || '';
-
-  const catMap = {};
-  categories.forEach(c => catMap[c] = {});
-
-  // Validation rules:
-  // - length >= 3
-  // - only alphabets (a-z)
-  // - starts with currentLetter (case-insensitive)
-  // - reject repeated-only words like 'xxxxx' (handled by regex below implicitly via alphabets-only + length check and later filter)
-  const ALPHA_RE = /^[a-zA-Z]+$/;
-  const REPEAT_CHAR_RE = /^(.)\1+$/i;
-  const MIN_LEN = 3;
-
-  room.players.forEach(pl => {
-    const ent = answersForRound[pl.socketId] || { answers: {} };
-    const raw = ent.answers || {};
-    categories.forEach(cat => {
-      let v = (raw[cat] || '').trim();
-      if (!v) return;
-      if (v.length < MIN_LEN) return;
-      if (!ALPHA_RE.test(v)) return;
-      if (REPEAT_CHAR_RE.test(v)) return;
-      if (currentLetter && v[0].toUpperCase() !== currentLetter.toUpperCase()) return;
-
-      const lower = v.toLowerCase();
-      if (!catMap[cat][lower]) catMap[cat][lower] = [];
-      catMap[cat][lower].push(pl.socketId);
-    });
-  });
-
-  const roundScores = {};
-  room.players.forEach(pl => roundScores[pl.socketId] = 0);
+  // only the round being played, and only once it has a letter (an empty letter would accept anything)
+  const room = await Room.findOne({ roomId });
+  if (!room || room.state !== 'playing' || Number(round) !== room.round || !(room.usedLetters || [])[round - 1]) {
+    console.log('Round not in play, not scoring', roomId, round);
+    if (existed) answersMap[roomId][round]._scored = false;
+    else delete answersMap[roomId][round];
+    return;
+  }
+  if (!(await claimScoring(roomId, round))) {
+    console.log('Round already scored elsewhere', roomId, round);
+    return;
+  }
+  if (clustered) await refreshRound(roomId, round);
 
-  categories.forEach(cat => {
-    Object.keys(catMap[cat]).forEach(k => {
-      if (k === '') return;
-      const list = catMap[cat][k];
-      const pts = list.length === 1 ? 10 : 5;
-      list.forEach(pid => roundScores[pid] += pts);
-    });
-  });
+  const categories = roomCategories(room);
+  const { scores: roundScores, merges, teamScores } = roundResult(room, round);
 
   // apply scores
   room.players.forEach(pl => {
-    pl.score = (pl.score || 0) + (roundScores[pl.socketId] || 0);
+    pl.score = (pl.score || 0) + (roundScores[pl.playerId] || 0);
   });
 
+  // round is over: timers, deadlines and a pause no longer apply
+  stopRoundTimers(roomId);
+  stopBotTimers(roomId);
+  room.roundDeadline = undefined;
+  room.graceDeadline = undefined;
+  room.paused = false;
+  room.pausedRemaining = undefined;
+  room.state = 'results';
   await room.save();
 
-  // mark scored to prevent double scoring
-  if (!answersMap[roomId]) answersMap[roomId] = {};
-  if (!answersMap[roomId][round]) answersMap[roomId][round] = {};
-  answersMap[roomId][round]._scored = true;
+  // (the scored flag was persisted by claimScoring)
 
   // emit results + updated room (so leaderboard updates)
   io.to(roomId).emit('roundScored', {
     round,
+    categories,
     roundScores,
-    totals: room.players.map(p => ({
-      socketId: p.socketId,
-      name: p.name,
-      score: p.score
-    })),
-    answers: answersMap[roomId][round] || {}
+    totals: playerTotals(room),
+    teamRoundScores: teamScores,
+    teamTotals: teamTotals(room),
+    answers: answersMap[roomId][round] || {},
+    merges,
+    validationMode: room.validationMode || 'off',
+    verdicts: roundVerdicts(room, answersMap[roomId][round])
   });
 
   io.to(roomId).emit('roomUpdate', room);
@@ -294,180 +1695,196 @@ async function recomputeRoundScores(roomId, round) {
   const room = await Room.findOne({ roomId });
   if (!room) return;
 
-  const categories = ['Name','City','Thing','Animal'];
-  const MIN_ANSWER_LENGTH = 3;
-  const ALPHA_RE = /^[a-z]+$/;
-  const REPEAT_CHAR_RE = /^(.)\1+$/i;
-
-  // totals per player
+  // totals per player over every scored round (drafts of a round still running don't count)
   const totals = {};
-  room.players.forEach(p => totals[p.socketId] = 0);
-
-  // iterate rounds present in answersMap
-  const roundsForRoom = Object.keys(answersMap[roomId] || {}).filter(k => k !== '_meta');
-  roundsForRoom.forEach(rKey => {
-    const rNum = parseInt(rKey, 10);
-    if (isNaN(rNum)) return;
-    const answersR = answersMap[roomId][rNum] || {};
-
-    // determine letter for this round
-    const letter = (room.usedLetters && room.usedLetters[rNum - 1]) ? room.usedLetters[rNum - 1].toLowerCase() : null;
-
-    // build per-round catMap
-    const catMapR = {};
-    categories.forEach(c => catMapR[c] = {});
-
-    room.players.forEach(pl => {
-      const ent = answersR[pl.socketId] || { answers: {} };
-      const raw = ent.answers || {};
-      const invalidObj = ent.invalid || {};
-
-      categories.forEach(cat => {
-        if (invalidObj[cat]) return;
-        const rawVal = (raw[cat] || '').trim().toLowerCase();
-        if (!rawVal) return;
-        if (rawVal.length < MIN_ANSWER_LENGTH) return;
-        if (!ALPHA_RE.test(rawVal)) return;
-        if (REPEAT_CHAR_RE.test(rawVal)) return;
-        if (letter && rawVal[0] !== letter) return;
-
-        if (!catMapR[cat][rawVal]) catMapR[cat][rawVal] = [];
-        catMapR[cat][rawVal].push(pl.socketId);
-      });
-    });
-
-    // calculate contributions
-    categories.forEach(cat => {
-      Object.keys(catMapR[cat]).forEach(ansText => {
-        const list = catMapR[cat][ansText];
-        const pts = list.length === 1 ? 10 : 5;
-        list.forEach(pid => totals[pid] += pts);
-      });
-    });
+  room.players.forEach(p => totals[p.playerId] = 0);
+  roomRounds(roomId).filter(r => answersMap[roomId][r]._scored).forEach(r => {
+    const { scores } = roundResult(room, r);
+    Object.keys(scores).forEach(pid => totals[pid] += scores[pid]);
   });
 
   // update room player totals
   room.players.forEach(p => {
-    p.score = totals[p.socketId] || 0;
+    p.score = totals[p.playerId] || 0;
   });
   await room.save();
 
-  // build per-player contributions for the requested round
-  const roundContribution = {};
-  room.players.forEach(p => roundContribution[p.socketId] = 0);
-  if (answersMap[roomId] && answersMap[roomId][round]) {
-    const answersR = answersMap[roomId][round];
-    const letter = (room.usedLetters && room.usedLetters[round - 1]) ? room.usedLetters[round - 1].toLowerCase() : null;
-    const catMapThis = {};
-    categories.forEach(c => catMapThis[c] = {});
-
-    room.players.forEach(pl => {
-      const ent = answersR[pl.socketId] || { answers: {} };
-      const raw = ent.answers || {};
-      const invalidObj = ent.invalid || {};
-      categories.forEach(cat => {
-        if (invalidObj[cat]) return;
-        const rawVal = (raw[cat] || '').trim().toLowerCase();
-        if (!rawVal) return;
-        if (rawVal.length < MIN_ANSWER_LENGTH) return;
-        if (!ALPHA_RE.test(rawVal)) return;
-        if (REPEAT_CHAR_RE.test(rawVal)) return;
-        if (letter && rawVal[0] !== letter) return;
-
-        if (!catMapThis[cat][rawVal]) catMapThis[cat][rawVal] = [];
-        catMapThis[cat][rawVal].push(pl.socketId);
-      });
-    });
+  // emit updated roundScored and roomUpdate
+  io.to(roomId).emit('roundScored', roundScoredPayload(room, round));
 
-    categories.forEach(cat => {
-      Object.keys(catMapThis[cat]).forEach(k => {
-        const list = catMapThis[cat][k];
-        const pts = list.length === 1 ? 10 : 5;
-        list.forEach(pid => roundContribution[pid] += pts);
-      });
-    });
-  }
+  io.to(roomId).emit('roomUpdate', room);
+}
 
-  // ensure _scored flag exists
-  if (!answersMap[roomId]) answersMap[roomId] = {};
-  if (!answersMap[roomId][round]) answersMap[roomId][round] = {};
-  answersMap[roomId][round]._scored = true;
+/* roundScoredPayload: 'roundScored' body for one round rebuilt from answersMap (respects invalid flags).
+   Used after recomputation and to catch up a player who rejoins during the results stage. */
+function roundScoredPayload(room, round) {
+  const roomId = room.roomId;
+  const categories = roomCategories(room);
+  const { scores, merges, teamScores } = roundResult(room, round);
 
-  // emit updated roundScored and roomUpdate
-  io.to(roomId).emit('roundScored', {
+  return {
     round,
-    roundScores: roundContribution,
-    totals: room.players.map(p => ({ socketId: p.socketId, name: p.name, score: p.score })),
-    answers: answersMap[roomId][round] || {}
+    categories,
+    roundScores: scores,
+    totals: playerTotals(room),
+    teamRoundScores: teamScores,
+    teamTotals: teamTotals(room),
+    answers: (answersMap[roomId] && answersMap[roomId][round]) || {},
+    merges,
+    validationMode: room.validationMode || 'off',
+    verdicts: roundVerdicts(room, answersMap[roomId] && answersMap[roomId][round])
+  };
+}
+
+/* roundBreakdown: per-answer verdicts and points for one round, as in the CSV export
+   (also archived with finished games) */
+function roundBreakdown(room, r) {
+  const letter = (room.usedLetters && room.usedLetters[r-1]) ? room.usedLetters[r-1] : '';
+  const { answers, speedBonus, scores, teamScores } = roundResult(room, r);
+  const bucket = (answersMap[room.roomId] && answersMap[room.roomId][r]) || {};
+  answers.forEach(a => {
+    const log = bucket[a.playerId] && bucket[a.playerId].reviews && bucket[a.playerId].reviews[a.category];
+    a.review = (log && log.length) ? log[log.length - 1] : null; // the decision that stands
   });
+  return { round: r, letter, answers, speedBonus, scores, ...(teamScores && { teamScores }), reviews: roundReviews(room, r) };
+}
 
-  io.to(roomId).emit('roomUpdate', room);
+// helper: round numbers with stored answers for a room, ascending
+function roomRounds(roomId) {
+  return Object.keys(answersMap[roomId] || {}).filter(k => k !== '_meta').map(n => parseInt(n,10)).sort((a,b)=>a-b);
+}
+
+// helper: players by total score with their rank (ties share a rank)
+function rankedPlayers(room) {
+  const players = room.players
+    .map(p => ({ playerId: p.playerId, name: p.name, nameKey: p.bot ? undefined : (p.name || '').trim().toLowerCase(), bot: p.bot || undefined, team: p.team, score: p.score || 0 }))
+    .sort((a, b) => b.score - a.score);
+  players.forEach((p, i) => { p.rank = (i > 0 && p.score === players[i - 1].score) ? players[i - 1].rank : i + 1; });
+  return players;
+}
+
+// helper: per-round breakdowns with player names filled in
+function gameRounds(room) {
+  const names = {};
+  room.players.forEach(p => names[p.playerId] = p.name);
+  return roomRounds(room.roomId).map(r => {
+    const b = roundBreakdown(room, r);
+    b.answers.forEach(a => { a.name = names[a.playerId]; });
+    return b;
+  });
+}
+
+// helper: the room settings a game was played with
+function gameSettings(room) {
+  return {
+    alphabet: room.alphabet || alphabets.DEFAULT_ALPHABET,
+    totalRounds: totalRounds(room),
+    letterPool: [...letterPool(room)],
+    timeLimit: room.timeLimit || 0,
+    validationMode: room.validationMode || 'off',
+    fuzzyThreshold: room.fuzzyThreshold,
+    scoring: room.scoring ? room.scoring.toObject() : Room.DEFAULT_SCORING,
+    teamMode: !!room.teamMode
+  };
 }
 
-/* CSV export route (host can call) */
+/* archiveGame: store a finished game (players, letters, answers, scores, winners) for history/stats */
+async function archiveGame(room) {
+  // one archive per game (roomId + startedAt): ending it again returns the game already archived
+  const key = { roomId: room.roomId, startedAt: room.gameStartedAt };
+  const archived = await Game.findOne(key);
+  if(archived) return archived;
+  const players = rankedPlayers(room);
+  try {
+    return await Game.create({
+      roomId: room.roomId,
+      startedAt: room.gameStartedAt,
+      finishedAt: new Date(),
+      categories: roomCategories(room),
+      settings: gameSettings(room),
+      players,
+      rounds: gameRounds(room),
+      winners: players.filter(p => p.rank === 1).map(p => ({ playerId: p.playerId, name: p.name, score: p.score })),
+      teams: teamTotals(room) || undefined
+    });
+  } catch(e){
+    if(e.code === 11000) return Game.findOne(key); // archived concurrently
+    throw e;
+  }
+}
+
+/* export route (host can call): ?format=answers (per-answer CSV, default) | summary (per-player CSV) | json (full dump) */
 const { stringify } = require('csv-stringify/sync');
+const EXPORT_FORMATS = ['answers', 'summary', 'json'];
+const EXPORT_VERSION = 1;
+
+// full game dump; the shape matches archived games (models/Game.js) so both can be analysed alike
+function exportGameJSON(room) {
+  return {
+    format: 'alpharush-game',
+    version: EXPORT_VERSION,
+    exportedAt: new Date(),
+    roomId: room.roomId,
+    startedAt: room.gameStartedAt || null,
+    categories: roomCategories(room),
+    settings: gameSettings(room),
+    letters: [...(room.usedLetters || [])],
+    skippedLetters: [...(room.skippedLetters || [])],
+    players: rankedPlayers(room),
+    teams: teamTotals(room),
+    rounds: gameRounds(room)
+  };
+}
 
+// one row per player: points in each round, total and final rank
+function exportSummaryCSV(room) {
+  const rounds = roomRounds(room.roomId).map(r => roundBreakdown(room, r));
+  const team = room.teamMode; // team mode adds a Team column
+  const rows = [['Rank', 'PlayerId', 'PlayerName', ...(team ? ['Team'] : []), ...rounds.map(b => `Round ${b.round} (${b.letter})`), 'Total']];
+  rankedPlayers(room).forEach(p => {
+    rows.push([p.rank, p.playerId, p.name, ...(team ? [p.team || ''] : []), ...rounds.map(b => b.scores[p.playerId] || 0), p.score]);
+  });
+  return stringify(rows);
+}
+
+// only with a download token the current host got from 'requestExport'
 app.get('/export/:roomId', async (req, res) => {
   try {
     const roomId = req.params.roomId;
+    const format = req.query.format || 'answers';
+    if (!EXPORT_FORMATS.includes(format)) return res.status(400).send(`Unknown format, use one of: ${EXPORT_FORMATS.join(', ')}`);
     const room = await Room.findOne({ roomId });
     if (!room) return res.status(404).send('Room not found');
+    if (!validExportToken(room, req.query.token)) return res.status(403).send('Forbidden');
 
-    const categories = ['Name','City','Thing','Animal'];
-    const rows = [];
-    rows.push(['Round','Letter','PlayerSocketId','PlayerName','Category','Answer','Invalid','PointsThisCategory']);
-
-    const roundsForRoom = Object.keys(answersMap[roomId] || {}).filter(k => k !== '_meta').map(n => parseInt(n,10)).sort((a,b)=>a-b);
-
-    roundsForRoom.forEach(r => {
-      const letter = (room.usedLetters && room.usedLetters[r-1]) ? room.usedLetters[r-1] : '';
-      const answersR = answersMap[roomId][r] || {};
-      // build catMap for the round
-      const catMap = {};
-      categories.forEach(c => catMap[c] = {});
-      room.players.forEach(p => {
-        const ent = answersR[p.socketId] || { answers: {} };
-        const raw = ent.answers || {};
-        const invalidObj = ent.invalid || {};
-        categories.forEach(cat => {
-          const val = (raw[cat] || '').trim();
-          const valid = val && val.length >= 3 && /^[a-zA-Z]+$/.test(val) && val[0].toLowerCase() === (letter||'').toLowerCase() && !invalidObj[cat];
-          if (valid) {
-            const norm = val.toLowerCase();
-            if (!catMap[cat][norm]) catMap[cat][norm] = [];
-            catMap[cat][norm].push(p.socketId);
-          }
-        });
-      });
-
-      // points per player for this round
-      const pointsByPlayer = {};
-      room.players.forEach(p => pointsByPlayer[p.socketId] = 0);
-      categories.forEach(cat => {
-        Object.keys(catMap[cat]).forEach(ansText => {
-          const list = catMap[cat][ansText];
-          const pts = list.length === 1 ? 10 : 5;
-          list.forEach(pid => pointsByPlayer[pid] += pts);
-        });
-      });
+    if (format === 'json') {
+      res.setHeader('Content-Disposition', `attachment; filename="alpharush_${roomId}_game.json"`);
+      return res.json(exportGameJSON(room));
+    }
+    if (format === 'summary') {
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="alpharush_${roomId}_summary.csv"`);
+      return res.send(exportSummaryCSV(room));
+    }
 
-      // produce CSV rows
-      room.players.forEach(p => {
-        const ent = answersR[p.socketId] || { answers: {} };
-        const invalidObj = ent.invalid || {};
-        categories.forEach(cat => {
-          const ansVal = (ent.answers && ent.answers[cat]) ? ent.answers[cat] : '';
-          const invalidFlag = !!invalidObj[cat];
-          let pts = 0;
-          const norm = (ansVal || '').trim().toLowerCase();
-          if (norm && catMap[cat][norm]) {
-            const list = catMap[cat][norm];
-            pts = (list.length === 1) ? 10 : 5;
-          }
-          if (invalidFlag) pts = 0;
-          rows.push([r, letter, p.socketId, p.name, cat, ansVal || '', invalidFlag ? 'yes' : 'no', pts]);
-        });
+    const rows = [];
+    rows.push(['Round','Letter','PlayerId','PlayerName','Category','Answer','Invalid','Dictionary','PointsThisCategory','ReviewedBy','ReviewReason']);
+
+    const byId = {};
+    room.players.forEach(p => byId[p.playerId] = p);
+
+    roomRounds(roomId).forEach(r => {
+      const b = roundBreakdown(room, r);
+      b.answers.forEach(a => {
+        const p = byId[a.playerId];
+        const rv = a.review;
+        rows.push([r, b.letter, a.playerId, p.name, a.category, a.answer, a.invalid ? 'yes' : 'no', a.dictionary || '', a.points,
+          rv ? (rv.source === 'vote' ? 'vote' : rv.byName) : '', (rv && rv.reason) || '']);
       });
+      if (b.speedBonus) {
+        const p = byId[b.speedBonus.playerId];
+        rows.push([r, b.letter, b.speedBonus.playerId, p.name, '(speed bonus)', '', 'no', '', b.speedBonus.points, '', '']);
+      }
     });
 
     const csv = stringify(rows);
@@ -480,7 +1897,93 @@ app.get('/export/:roomId', async (req, res) => {
   }
 });
 
+// open public rooms for the lobby browser (newest first, finished games left out)
+app.get('/rooms', async (req, res) => {
+  try {
+    const rooms = await Room.find({ visibility: { $ne: 'private' }, state: { $nin: ['finished', 'abandoned'] } }).sort({ createdAt: -1 }).limit(ROOM_LIST_LIMIT);
+    const list = rooms
+      .map(r => ({
+        roomId: r.roomId,
+        host: (r.players.find(p => p.playerId === r.hostId) || {}).name || null,
+        players: r.players.length,
+        maxPlayers: MAX_PLAYERS,
+        spectators: r.spectators.length,
+        stage: r.state,
+        round: r.round,
+        rounds: totalRounds(r),
+        passwordProtected: !!r.password,
+        createdAt: r.createdAt
+      }));
+    return res.json({ ok:true, rooms: list });
+  } catch (e) {
+    console.error('rooms error', e);
+    return res.status(500).json({ ok:false, error:'server error' });
+  }
+});
+
+/* game history + player stats */
+app.get('/games', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit || '20', 10) || 20, 100);
+    const skip = Math.max(parseInt(req.query.skip || '0', 10) || 0, 0);
+    const filter = req.query.player ? { 'players.nameKey': String(req.query.player).trim().toLowerCase() } : {};
+    const games = await Game.find(filter, { rounds: 0 }).sort({ finishedAt: -1 }).skip(skip).limit(limit).lean();
+    return res.json({ ok:true, games });
+  } catch (e) {
+    console.error('games error', e);
+    return res.status(500).json({ ok:false, error:'server error' });
+  }
+});
+
+app.get('/games/:id', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ ok:false, error:'Game not found' });
+    const game = await Game.findById(req.params.id).lean();
+    if (!game) return res.status(404).json({ ok:false, error:'Game not found' });
+    return res.json({ ok:true, game });
+  } catch (e) {
+    console.error('game error', e);
+    return res.status(500).json({ ok:false, error:'server error' });
+  }
+});
+
+app.get('/players/:name/stats', async (req, res) => {
+  try {
+    const nameKey = String(req.params.name).trim().toLowerCase();
+    const games = await Game.find({ 'players.nameKey': nameKey }).lean();
+    if (!games.length) return res.status(404).json({ ok:false, error:'No games for player' });
+    return res.json({ ok:true, stats: playerStats(games, nameKey) });
+  } catch (e) {
+    console.error('stats error', e);
+    return res.status(500).json({ ok:false, error:'server error' });
+  }
+});
+
+// what the room-creation form may offer: category limits and alphabets (createRoom refuses anything else)
+app.get('/config', (req, res) => res.json({
+  ok: true,
+  minCategories: MIN_CATEGORIES,
+  maxCategories: MAX_CATEGORIES,
+  letterPresets: LETTER_PRESETS,
+  defaultAlphabet: alphabets.DEFAULT_ALPHABET,
+  alphabets: Object.entries(alphabets.ALPHABETS).map(([value, a]) => ({ value, label: a.label, letters: a.letters, hard: a.hard }))
+}));
+
 /* health */
 app.get('/health', (req,res)=> res.json({ ok:true }));
 
-server.listen(PORT, ()=> console.log('Backend running on', PORT));
+// boot: connections are only taken once the stored rounds are back in answersMap and their timers
+// re-armed, so a client rejoining right after a restart never sees (or writes into) an empty round.
+// With REDIS_URL the instance also waits until it has joined the others (the Redis client keeps
+// retrying until then); running alone instead would split rooms between instances.
+mongoose.connect(MONGO_URI)
+  .then(()=> { console.log('Mongo connected'); return loadAnswers(); })
+  .then(()=> restoreRoundTimers())
+  .then(()=> restoreVoteTimers())
+  .then(()=> restoreBotTimers())
+  .then(()=> cluster.attachAdapter(io, REDIS_URL))
+  .then(ok => { clustered = ok; return resetPresence(); })
+  .then(()=> {
+    server.listen(PORT, ()=> console.log('Backend running on', PORT, clustered ? 'with Redis adapter' : 'single-instance'));
+  })
+  .catch(err => { console.error('startup error', err); process.exit(1); });
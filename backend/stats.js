@@ -0,0 +1,58 @@
+// backend/stats.js
+// Per-player statistics over archived games (models/Game.js). Players are matched across
+// games by lowercased name, which is how the weekly league tells people apart.
+const TOP_ANSWERS = 10;
+
+function round2(n){
+  return Math.round(n * 100) / 100;
+}
+
+function playerStats(games, nameKey){
+  let name = nameKey;
+  let lastPlayedAt = null;
+  let wins = 0, totalPoints = 0, roundsPlayed = 0, roundPoints = 0, validAnswers = 0, uniqueAnswers = 0;
+  const answerCounts = {};
+
+  games.forEach(g => {
+    const me = (g.players || []).find(p => p.nameKey === nameKey);
+    if(!me) return;
+    if(!lastPlayedAt || g.finishedAt > lastPlayedAt){ lastPlayedAt = g.finishedAt; name = me.name; }
+    if(me.rank === 1) wins++;
+    totalPoints += me.score || 0;
+
+    (g.rounds || []).forEach(r => {
+      if(!r.scores || r.scores[me.playerId] === undefined) return;
+      roundsPlayed++;
+      roundPoints += r.scores[me.playerId];
+      (r.answers || []).forEach(a => {
+        if(a.playerId !== me.playerId || !(a.answer || '').trim()) return;
+        const key = a.answer.trim().toLowerCase();
+        answerCounts[key] = (answerCounts[key] || 0) + 1;
+        if(a.valid){
+          validAnswers++;
+          if(a.unique) uniqueAnswers++;
+        }
+      });
+    });
+  });
+
+  const mostUsedAnswers = Object.keys(answerCounts)
+    .map(answer => ({ answer, count: answerCounts[answer] }))
+    .sort((a, b) => b.count - a.count || a.answer.localeCompare(b.answer))
+    .slice(0, TOP_ANSWERS);
+
+  return {
+    name,
+    gamesPlayed: games.length,
+    wins,
+    winRate: games.length ? round2(wins / games.length) : 0,
+    totalPoints,
+    roundsPlayed,
+    averagePointsPerRound: roundsPlayed ? round2(roundPoints / roundsPlayed) : 0,
+    uniqueAnswerRate: validAnswers ? round2(uniqueAnswers / validAnswers) : 0,
+    mostUsedAnswers,
+    lastPlayedAt
+  };
+}
+
+module.exports = { playerStats };
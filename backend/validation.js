@@ -0,0 +1,133 @@
+// backend/validation.js
+// Payload schemas for the socket events. server.js checks every incoming event against its
+// schema before the handler runs; a bad payload is answered with
+// { ok:false, code:'INVALID_PAYLOAD', error } and never reaches the handler.
+//
+// Error codes used in event callbacks:
+//   INVALID_PAYLOAD  malformed or out-of-range input
+//   RATE_LIMITED     too many events of one kind from this socket
+//   NOT_FOUND        no such room / player / answers
+//   NOT_IN_ROOM      socket doesn't speak for a player of the room
+//   NOT_HOST         host-only action
+//   NOT_ALLOWED      action not allowed on this target (own answer, host kicking themselves, ...)
+//   WRONG_PASSWORD, BANNED, ROOM_FULL, ROOM_LOCKED, ROOM_EXISTS, SESSION_EXPIRED, PAUSED
+//   INVALID_STATE    the game is not in a state where the action applies
+//   SERVER_ERROR     unexpected failure
+const MAX_NAME_LENGTH = 24;
+const MAX_ROOM_ID_LENGTH = 24;
+const MAX_PASSWORD_LENGTH = 64;
+const MAX_ANSWER_LENGTH = 40;
+const MAX_REASON_LENGTH = 120; // host's note on an invalidation
+const MAX_CHAT_LENGTH = 200;
+const MAX_LIST_ITEMS = 50; // categories, excluded letters (the largest alphabet has 44)
+const ROOM_ID_RE = /^[A-Za-z0-9_-]+$/;
+
+const roomId = { type: 'string', max: MAX_ROOM_ID_LENGTH, pattern: ROOM_ID_RE };
+const name = { type: 'string', max: MAX_NAME_LENGTH };
+const password = { type: 'string', max: MAX_PASSWORD_LENGTH, optional: true };
+const playerId = { type: 'string', max: 64 };
+const round = { type: 'int', min: 1 };
+const category = { type: 'string', max: 64 };
+const answers = { type: 'answers' };
+
+const SCHEMAS = {
+  createRoom: {
+    roomId: { ...roomId, optional: true },
+    name,
+    password,
+    visibility: { type: 'string', max: 16, optional: true },
+    categories: { type: 'strings', optional: true },
+    timeLimit: { type: 'int', min: 0, optional: true },
+    validationMode: { type: 'string', max: 16, optional: true },
+    fuzzyThreshold: { type: 'int', min: 0, optional: true },
+    scoring: { type: 'object', optional: true },
+    alphabet: { type: 'string', max: 16, optional: true },
+    rounds: { type: 'int', min: 1, optional: true },
+    excludeLetters: { type: 'strings', optional: true },
+    letterPreset: { type: 'string', max: 16, optional: true },
+    teamMode: { type: 'boolean', optional: true },
+    teamCount: { type: 'int', min: 2, optional: true }
+  },
+  joinRoom: { roomId, name, password, token: { type: 'string', max: 64, optional: true } },
+  rejoinRoom: { roomId, token: { type: 'string', max: 64 } },
+  spectateRoom: { roomId, name: { ...name, optional: true }, password },
+  presentRoom: { roomId, password },
+  startGame: { roomId },
+  updateAnswers: { roomId, round, answers },
+  submitAnswers: { roomId, round, answers },
+  forceScore: { roomId, round: { ...round, optional: true } },
+  nextRound: { roomId },
+  rematch: { roomId },
+  setTeamMode: { roomId, enabled: { type: 'boolean' }, teamCount: { type: 'int', min: 2, optional: true } },
+  assignTeam: { roomId, targetPlayerId: playerId, team: { type: 'string', max: 16 } },
+  balanceTeams: { roomId },
+  addBot: { roomId, difficulty: { type: 'string', max: 16, optional: true } },
+  rerollLetter: { roomId },
+  kickPlayer: { roomId, targetPlayerId: playerId },
+  banPlayer: { roomId, targetPlayerId: playerId },
+  transferHost: { roomId, targetPlayerId: playerId },
+  lockRoom: { roomId, locked: { type: 'boolean' } },
+  requestExport: { roomId },
+  pauseGame: { roomId },
+  resumeGame: { roomId },
+  chatMessage: { roomId, text: { type: 'string', max: MAX_CHAT_LENGTH } },
+  reactAnswer: { roomId, round, targetPlayerId: playerId, category, emoji: { type: 'string', max: 8 } },
+  mutePlayer: { roomId, targetPlayerId: playerId, muted: { type: 'boolean' } },
+  setProfanityFilter: { roomId, enabled: { type: 'boolean' } },
+  invalidateAnswer: { roomId, round, targetPlayerId: playerId, category, invalidate: { type: 'boolean' }, reason: { type: 'string', max: MAX_REASON_LENGTH, optional: true } },
+  splitAnswer: { roomId, round, targetPlayerId: playerId, category, split: { type: 'boolean' } },
+  challengeAnswer: { roomId, round, targetPlayerId: playerId, category },
+  voteAnswer: { roomId, round, targetPlayerId: playerId, category, vote: { type: 'string', max: 16 } }
+};
+
+function isPlainObject(v){
+  return !!v && typeof v === 'object' && !Array.isArray(v);
+}
+
+// error message for one field, or null
+function checkField(key, rule, value){
+  if(value === undefined || value === null || value === ''){
+    return rule.optional ? null : `${key} required`;
+  }
+  switch(rule.type){
+    case 'string':
+      if(typeof value !== 'string') return `${key} must be a string`;
+      if(rule.max && value.length > rule.max) return `${key} is too long (max ${rule.max})`;
+      if(rule.pattern && !rule.pattern.test(value)) return `${key} has invalid characters`;
+      return null;
+    case 'int':
+      if(!Number.isInteger(value)) return `${key} must be a whole number`;
+      if(rule.min !== undefined && value < rule.min) return `${key} must be at least ${rule.min}`;
+      return null;
+    case 'boolean':
+      return typeof value === 'boolean' ? null : `${key} must be true or false`;
+    case 'object':
+      return isPlainObject(value) ? null : `${key} must be an object`;
+    case 'strings':
+      if(!Array.isArray(value) || value.some(v => typeof v !== 'string')) return `${key} must be a list of strings`;
+      return value.length > MAX_LIST_ITEMS ? `${key} has too many entries` : null;
+    case 'answers': {
+      if(!isPlainObject(value)) return `${key} must be an object`;
+      const entries = Object.entries(value);
+      if(entries.length > MAX_LIST_ITEMS) return `${key} has too many categories`;
+      const bad = entries.find(([, v]) => typeof v !== 'string' || v.length > MAX_ANSWER_LENGTH);
+      return bad ? `answer for ${bad[0]} must be text of at most ${MAX_ANSWER_LENGTH} characters` : null;
+    }
+    default:
+      return null;
+  }
+}
+
+// error message for an event payload, or null when it is fine (or the event has no schema)
+function validatePayload(event, payload){
+  const schema = SCHEMAS[event];
+  if(!schema) return null;
+  if(!isPlainObject(payload)) return 'payload must be an object';
+  for(const [key, rule] of Object.entries(schema)){
+    const error = checkField(key, rule, payload[key]);
+    if(error) return error;
+  }
+  return null;
+}
+
+module.exports = { validatePayload, SCHEMAS, MAX_NAME_LENGTH, MAX_ANSWER_LENGTH, MAX_PASSWORD_LENGTH, MAX_REASON_LENGTH, MAX_CHAT_LENGTH };
@@ -1,50 +1,165 @@
 import React, { useEffect, useState, useRef } from 'react';
-import { io } from 'socket.io-client';
+import { SERVER, socket } from './socket';
 
-// Auto-detect server (works for localhost and EC2 with public IP)
-const SERVER = process.env.REACT_APP_SERVER || (window.location.hostname === 'localhost' ? 'http://localhost:5000' : `http://${window.location.hostname}:5000`);
-const socket = io(SERVER, { transports: ['websocket','polling'] });
+// category presets offered to the host when creating a room (custom ones can be typed too)
+const DEFAULT_CATEGORIES = ['Name','City','Thing','Animal'];
+const CATEGORY_PRESETS = ['Name','City','Thing','Animal','Movie','Food','Country','Brand','Song','Profession','Sport','Fruit'];
+const MAX_NAME_LENGTH = 24; // server-side payload limits (backend/validation.js)
+const MAX_ANSWER_LENGTH = 40;
+const MAX_CHAT_LENGTH = 200;
+const CHAT_KEEP = 100; // chat messages kept on screen
+const REACTIONS = ['👍','😂','🤯','🤔','👎']; // same list as the server
+// labels for the server's letter presets (GET /config); 'no-hard' also lists the alphabet's hard letters
+const LETTER_PRESET_LABELS = { all:'All letters', 'no-hard':'No hard letters' };
+const BOT_DIFFICULTIES = ['easy', 'medium', 'hard']; // computer players (backend/bots.js)
+const TEAM_COUNTS = [2, 3, 4]; // team mode: the server names them Red, Blue, Green, Gold
+const TIME_LIMIT_OPTIONS = [0, 30, 60, 90, 120, 180]; // seconds per round, 0 = no limit
+const FUZZY_OPTIONS = [
+  { value:0, label:'Exact only' },
+  { value:1, label:'1 typo' },
+  { value:2, label:'2 typos' },
+  { value:3, label:'3 typos' }
+];
+// room scoring rules (points); the server applies the same defaults when a field is left out
+const DEFAULT_SCORING = { unique:10, shared:5, onlyAnswer:10, speedBonus:0, invalidPenalty:0, doubleFinalRound:false };
+const SCORING_FIELDS = [
+  { key:'unique', label:'Unique answer' },
+  { key:'shared', label:'Shared answer' },
+  { key:'onlyAnswer', label:'Only answer in category' },
+  { key:'speedBonus', label:'First to submit bonus' },
+  { key:'invalidPenalty', label:'Invalidated answer penalty' }
+];
+const VALIDATION_MODES = [
+  { value:'off', label:'Off' },
+  { value:'advisory', label:'Advisory (flag unknown answers)' },
+  { value:'strict', label:'Strict (unknown answers score 0)' }
+];
+
+// player session (stable identity) kept across reloads / dropped connections
+const SESSION_KEY = 'alpharush.session';
+function loadSession(){
+  try { return JSON.parse(localStorage.getItem(SESSION_KEY)) || null; } catch (e) { return null; }
+}
+function saveSession(session){
+  localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+}
+function clearSession(){
+  localStorage.removeItem(SESSION_KEY);
+}
+// { roomId: token } of sessions the host banned; sent with joinRoom so a reload doesn't lift the ban
+const BANS_KEY = 'alpharush.bans';
+function loadBans(){
+  try { return JSON.parse(localStorage.getItem(BANS_KEY)) || {}; } catch (e) { return {}; }
+}
+function rememberBan(roomId, token){
+  localStorage.setItem(BANS_KEY, JSON.stringify({ ...loadBans(), [roomId]: token }));
+}
+
+const ROOM_LIST_REFRESH_MS = 5000;
+// host downloads on the final screen (backend /export/:roomId?format=...)
+const EXPORT_FORMATS = [
+  { format:'answers', label:'Answers CSV', file:'answers.csv' },
+  { format:'summary', label:'Summary CSV', file:'summary.csv' },
+  { format:'json', label:'Game JSON', file:'game.json' }
+];
+const STAGE_LABELS = { lobby:'In lobby', playing:'Playing', results:'Results' };
+
+function emptyAnswers(categories){
+  const a = {};
+  categories.forEach(c => a[c] = '');
+  return a;
+}
 
 export default function App(){
   const [stage, setStage] = useState('home'); // home,lobby,playing,results,final
   const [name, setName] = useState('');
   const [roomId, setRoomId] = useState('');
   const [room, setRoom] = useState(null);
+  const [playerId, setPlayerId] = useState(null);
+  const [spectating, setSpectating] = useState(false);
+  const [submittedIds, setSubmittedIds] = useState([]);
   const [players, setPlayers] = useState([]);
   const [letter, setLetter] = useState('-');
   const [round, setRound] = useState(0);
-  const [answers, setAnswers] = useState({ Name:'', City:'', Thing:'', Animal:'' });
+  const [totalRounds, setTotalRounds] = useState(26);
+  const [categories, setCategories] = useState(DEFAULT_CATEGORIES);
+  const [pickedCategories, setPickedCategories] = useState(DEFAULT_CATEGORIES);
+  const [customCategory, setCustomCategory] = useState('');
+  const [answers, setAnswers] = useState(emptyAnswers(DEFAULT_CATEGORIES));
   const [submitted, setSubmitted] = useState(false);
-  const [grace, setGrace] = useState(0);
+  const [timeLimit, setTimeLimit] = useState(0);
+  const [validationMode, setValidationMode] = useState('off');
+  const [fuzzyThreshold, setFuzzyThreshold] = useState(0);
+  const [scoring, setScoring] = useState(DEFAULT_SCORING);
+  const [roundsWanted, setRoundsWanted] = useState('');
+  const [config, setConfig] = useState(null); // room-creation limits + alphabets from the server (GET /config)
+  const [alphabet, setAlphabet] = useState('');
+  const [letterPreset, setLetterPreset] = useState('all');
+  const [excludedLetters, setExcludedLetters] = useState([]);
+  const [password, setPassword] = useState('');
+  const [visibility, setVisibility] = useState('public');
+  const [teamMode, setTeamMode] = useState(false);
+  const [teamCount, setTeamCount] = useState(2);
+  const [botDifficulty, setBotDifficulty] = useState('medium');
+  const [openRooms, setOpenRooms] = useState([]);
+  const [timing, setTiming] = useState({ deadline:null, graceDeadline:null, timeLimit:0, graceSeconds:10 });
+  const [now, setNow] = useState(Date.now());
   const [roundResults, setRoundResults] = useState(null);
-  const graceRef = useRef(null);
+  const [chat, setChat] = useState([]);
+  const [chatText, setChatText] = useState('');
+  const clockOffset = useRef(0);
+  const chatBox = useRef(null);
   const draftTimer = useRef(null);
+  const spectatePassword = useRef(''); // room password, re-sent when a spectator reconnects
 
   useEffect(() => {
     socket.on('roomUpdate', r => {
       setRoom(r);
       setPlayers(r.players || []);
+      if(r.categories && r.categories.length) setCategories(r.categories);
       if(stage === 'home') setStage('lobby');
     });
 
-    socket.on('roundStarted', ({ round, letter }) => {
+    socket.on('roundStarted', ({ round, letter, rounds, categories: cats, ...t }) => {
+      const roundCats = (cats && cats.length) ? cats : DEFAULT_CATEGORIES;
       setRound(round);
+      if(rounds) setTotalRounds(rounds);
       setLetter(letter);
+      setCategories(roundCats);
       setStage('playing');
       setSubmitted(false);
+      setSubmittedIds([]);
       setRoundResults(null);
-      setAnswers({ Name:'', City:'', Thing:'', Animal:'' });
-      stopGrace();
+      setAnswers(emptyAnswers(roundCats));
+      syncTiming(t);
     });
 
-    socket.on('playerSubmitted', () => {
-      if (!graceRef.current) startGraceCountdown();
+    socket.on('playerSubmitted', ({ playerId: who, ...t }) => {
+      setSubmittedIds(ids => ids.includes(who) ? ids : [...ids, who]);
+      syncTiming(t);
     });
 
     socket.on('roundScored', payload => {
       setRoundResults(payload);
       setStage('results');
-      stopGrace();
+      syncTiming({});
+    });
+
+    // peer vote opened / vote cast / vote resolved on one answer
+    socket.on('challengeUpdate', ({ round, targetPlayerId, category, challenge, serverTime }) => {
+      if(serverTime) clockOffset.current = serverTime - Date.now();
+      setRoundResults(r => {
+        if(!r || r.round !== round) return r;
+        // invalid flags and points follow in the 'roundScored' the server emits after a resolution
+        const entry = (r.answers && r.answers[targetPlayerId]) || {};
+        return {
+          ...r,
+          answers: {
+            ...r.answers,
+            [targetPlayerId]: { ...entry, challenges: { ...(entry.challenges || {}), [category]: challenge } }
+          }
+        };
+      });
     });
 
     socket.on('gameOver', ({ totals }) => {
@@ -52,30 +167,251 @@ export default function App(){
       setStage('final');
     });
 
+    socket.on('gamePaused', t => syncTiming(t));
+
+    // chat: history on (re)join, then live messages
+    socket.on('chatHistory', ({ messages }) => setChat(messages || []));
+    socket.on('chatMessage', m => setChat(c => [...c, m].slice(-CHAT_KEEP)));
+
+    // reactions on one answer changed
+    socket.on('answerReaction', ({ round, targetPlayerId, category, reactions }) => {
+      setRoundResults(r => {
+        if(!r || r.round !== round) return r;
+        const entry = (r.answers && r.answers[targetPlayerId]) || {};
+        return {
+          ...r,
+          answers: {
+            ...r.answers,
+            [targetPlayerId]: { ...entry, reactions: { ...(entry.reactions || {}), [category]: reactions } }
+          }
+        };
+      });
+    });
+
+    // host started a rematch: same room and players, back to the lobby
+    socket.on('rematchStarted', () => {
+      setRound(0);
+      setLetter('-');
+      setSubmitted(false);
+      setSubmittedIds([]);
+      setRoundResults(null);
+      setStage('lobby');
+    });
+
+    // room expired or everyone left
+    socket.on('roomClosed', () => {
+      alert('This room has closed');
+      restart();
+    });
+
+    // host removed us from the room
+    socket.on('kicked', ({ reason }) => {
+      const session = loadSession();
+      if(reason === 'banned' && session?.token) rememberBan(session.roomId, session.token);
+      alert(reason === 'banned' ? 'You were banned from this room' : 'You were removed from the room by the host');
+      restart();
+    });
+
     return () => {
       socket.off('roomUpdate');
       socket.off('roundStarted');
       socket.off('playerSubmitted');
       socket.off('roundScored');
+      socket.off('challengeUpdate');
       socket.off('gameOver');
+      socket.off('gamePaused');
+      socket.off('chatHistory');
+      socket.off('chatMessage');
+      socket.off('answerReaction');
+      socket.off('rematchStarted');
+      socket.off('roomClosed');
+      socket.off('kicked');
     };
   }, [stage]);
 
+  // keep the newest chat message in view
+  useEffect(() => {
+    if(chatBox.current) chatBox.current.scrollTop = chatBox.current.scrollHeight;
+  }, [chat]);
+
+  // tick the countdowns while a round is running (deadlines come from the server)
+  useEffect(() => {
+    if(stage !== 'playing' && stage !== 'results') return;
+    const t = setInterval(() => setNow(Date.now()), 250);
+    return () => clearInterval(t);
+  }, [stage]);
+
+  // room-creation options, once: the form only offers what createRoom accepts
+  useEffect(() => {
+    fetch(`${SERVER.replace(/\/$/, '')}/config`)
+      .then(r => r.json())
+      .then(data => {
+        if(!data.ok) return;
+        setConfig(data);
+        setAlphabet(a => a || data.defaultAlphabet);
+      })
+      .catch(() => {});
+  }, []);
+
+  // room browser: keep the list of public rooms fresh while on the home screen
+  useEffect(() => {
+    if(stage !== 'home') return;
+    loadRooms();
+    const t = setInterval(loadRooms, ROOM_LIST_REFRESH_MS);
+    return () => clearInterval(t);
+  }, [stage]);
+
+  // rejoin with the stored token on every (re)connect: page reload, Wi-Fi drop, server restart
+  useEffect(() => {
+    function rejoin(){
+      const session = loadSession();
+      if(!session) return;
+      if(session.spectator){
+        socket.emit('spectateRoom', { roomId: session.roomId, name: session.name, password: spectatePassword.current }, res => {
+          if(res?.code === 'WRONG_PASSWORD' && !spectatePassword.current){
+            // page reloaded: the password is only kept in memory, ask again
+            spectatePassword.current = window.prompt(`Password for room ${session.roomId}`) || '';
+            if(spectatePassword.current) return rejoin();
+          }
+          if(!res?.ok){ clearSession(); return; }
+          setSpectating(true);
+          setName(session.name);
+          setRoomId(session.roomId);
+          applyRoundState(res);
+        });
+        return;
+      }
+      socket.emit('rejoinRoom', { roomId: session.roomId, token: session.token }, res => {
+        if(res?.code === 'BANNED') rememberBan(session.roomId, session.token); // banned while we were away
+        if(!res?.ok){ clearSession(); return; }
+        setName(session.name);
+        setRoomId(session.roomId);
+        setPlayerId(res.playerId);
+        applyRoundState(res);
+      });
+    }
+
+    socket.on('connect', rejoin);
+    if(socket.connected) rejoin();
+    return () => socket.off('connect', rejoin);
+  }, []);
+
+  // put the UI where the game is when (re)entering mid-game (rejoin / spectate)
+  function applyRoundState(res){
+    const cats = (res.categories && res.categories.length) ? res.categories : DEFAULT_CATEGORIES;
+    setRoom(res.room);
+    setPlayers(res.room.players || []);
+    setCategories(cats);
+    setRound(res.round || 0);
+    if(res.rounds) setTotalRounds(res.rounds);
+    setLetter(res.letter || '-');
+    setSubmittedIds(res.submittedIds || []);
+    syncTiming(res);
+    if(res.gameOver) setStage('final');
+    else if(res.round > 0 && !res.scored){
+      setAnswers({ ...emptyAnswers(cats), ...(res.answers || {}) });
+      setSubmitted(!!res.submitted);
+      setStage('playing');
+    }
+    else if(!res.round) setStage('lobby');
+    // scored round: the server follows up with 'roundScored'
+  }
+
+  function startSession(res){
+    setPlayerId(res.playerId);
+    setRoomId(res.room.roomId);
+    saveSession({ roomId: res.room.roomId, name, playerId: res.playerId, token: res.token });
+    setStage('lobby');
+  }
+
   // Create / Join / Start
   function createRoom(){
-    if(!roomId || !name) return alert('Room & name required');
-    socket.emit('createRoom', { roomId, name }, res => {
-      if(res?.ok) setStage('lobby');
+    if(!name) return alert('Name required');
+    if(!config) return alert('Not connected to the server yet');
+    if(pickedCategories.length < config.minCategories || pickedCategories.length > config.maxCategories) return alert(`Pick ${config.minCategories}-${config.maxCategories} categories`);
+    socket.emit('createRoom', { roomId: roomId.trim() || undefined, name, password, visibility, categories: pickedCategories, timeLimit, validationMode, fuzzyThreshold, scoring,
+      alphabet, rounds: roundsWanted ? parseInt(roundsWanted, 10) : undefined, letterPreset, excludeLetters: excludedLetters,
+      teamMode, teamCount: teamMode ? teamCount : undefined }, res => {
+      if(res?.ok) startSession(res);
       else alert(res?.error || 'Create failed');
     });
   }
-  function joinRoom(){
-    if(!roomId || !name) return alert('Room & name required');
-    socket.emit('joinRoom', { roomId, name }, res => {
-      if(res?.ok) setStage('lobby');
+  // category picker (host, before creating)
+  function toggleCategory(cat){
+    setPickedCategories(list => {
+      if(list.includes(cat)) return list.filter(c => c !== cat);
+      if(config && list.length >= config.maxCategories) return list;
+      return [...list, cat];
+    });
+  }
+  function addCustomCategory(){
+    const v = customCategory.trim().replace(/\s+/g, ' ');
+    if(!v) return;
+    if(pickedCategories.some(c => c.toLowerCase() === v.toLowerCase())) return setCustomCategory('');
+    if(config && pickedCategories.length >= config.maxCategories) return alert(`At most ${config.maxCategories} categories`);
+    setPickedCategories(list => [...list, v]);
+    setCustomCategory('');
+  }
+
+  // an alphabet from the server's list ({ value, label, letters, hard }), the default one for unknown values
+  function alphabetOf(value){
+    const list = config ? config.alphabets : [];
+    return list.find(a => a.value === value) || list.find(a => a.value === config.defaultAlphabet) || { value, label:value, letters:[], hard:[] };
+  }
+  function isLetterExcluded(l){
+    return excludedLetters.includes(l) || (letterPreset === 'no-hard' && alphabetOf(alphabet).hard.includes(l));
+  }
+  function changeAlphabet(value){
+    setAlphabet(value);
+    setExcludedLetters([]);
+  }
+  function toggleLetter(l){
+    setExcludedLetters(list => list.includes(l) ? list.filter(x => x !== l) : [...list, l]);
+  }
+
+  // watch without taking a player slot
+  function spectateRoom(){
+    if(!roomId) return alert('Room required');
+    const watcher = name.trim() || 'Spectator';
+    socket.emit('spectateRoom', { roomId, name: watcher, password }, res => {
+      if(!res?.ok) return alert(res?.error || 'Spectate failed');
+      setSpectating(true);
+      spectatePassword.current = password;
+      saveSession({ roomId, name: watcher, spectator: true });
+      applyRoundState(res);
+    });
+  }
+
+  function joinRoom(target = roomId, roomPassword = password){
+    if(!target || !name) return alert('Room & name required');
+    socket.emit('joinRoom', { roomId: target, name, password: roomPassword, token: loadBans()[target] }, res => {
+      if(res?.ok) startSession(res);
       else alert(res?.error || 'Join failed');
     });
   }
+
+  // room browser
+  function loadRooms(){
+    fetch(`${SERVER.replace(/\/$/, '')}/rooms`)
+      .then(r => r.json())
+      .then(data => { if(data.ok) setOpenRooms(data.rooms); })
+      .catch(() => {});
+  }
+  function joinListedRoom(r){
+    if(!name) return alert('Name required');
+    let roomPassword;
+    if(r.passwordProtected){
+      roomPassword = window.prompt(`Password for room ${r.roomId}`);
+      if(roomPassword === null) return;
+    }
+    joinRoom(r.roomId, roomPassword);
+  }
+  // first public room still in its lobby with a free seat and no password
+  function quickJoin(){
+    const r = openRooms.find(o => o.stage === 'lobby' && o.players < o.maxPlayers && !o.passwordProtected);
+    if(!r) return alert('No open rooms right now — create one!');
+    joinListedRoom(r);
+  }
   function startGame(){
     if(!room) return;
     socket.emit('startGame', { roomId }, res => {
@@ -97,36 +433,91 @@ export default function App(){
   // explicit submit
   function submitAnswers(){
     if(submitted) return;
+    // the submission carries every answer; a draft still pending would be refused after it
+    if(draftTimer.current){ clearTimeout(draftTimer.current); draftTimer.current = null; }
     socket.emit('submitAnswers', { roomId, round, answers }, res => {
       if(res?.ok) setSubmitted(true);
-      else alert('Submit failed');
-    });
-    if(!graceRef.current) startGraceCountdown();
-  }
-
-  // grace countdown (starts when first submit occurs)
-  function startGraceCountdown(){
-    if(graceRef.current) return;
-    setGrace(10);
-    graceRef.current = setInterval(() => {
-      setGrace(g => {
-        if(g <= 1){
-          clearInterval(graceRef.current);
-          graceRef.current = null;
-          // score the round (but do NOT advance)
-          socket.emit('forceScore', { roomId, round });
-          return 0;
-        }
-        return g-1;
-      });
-    }, 1000);
+      else alert(res?.error || 'Submit failed');
+    });
   }
-  function stopGrace(){
-    if(graceRef.current){ clearInterval(graceRef.current); graceRef.current = null; setGrace(0); }
+
+  // server deadlines (epoch ms) -> local clock, using serverTime to cancel out clock skew
+  function syncTiming({ deadline, graceDeadline, timeLimit, graceSeconds, serverTime }){
+    if(serverTime) clockOffset.current = serverTime - Date.now();
+    setTiming({
+      deadline: deadline ? deadline - clockOffset.current : null,
+      graceDeadline: graceDeadline ? graceDeadline - clockOffset.current : null,
+      timeLimit: timeLimit || 0,
+      graceSeconds: graceSeconds || 10
+    });
+    setNow(Date.now());
+  }
+
+  function secondsLeft(at){
+    return at ? Math.max(0, Math.ceil((at - now) / 1000)) : 0;
+  }
+
+  // host can skip the current letter before anyone submits
+  function rerollLetter(){
+    socket.emit('rerollLetter', { roomId }, res => {
+      if (res && !res.ok) alert(res.error || 'Re-roll failed');
+    });
+  }
+
+  // host can end the round early (the server scores it)
+  function forceScoreByHost(){
+    socket.emit('forceScore', { roomId, round }, res => {
+      if (res && !res.ok) alert(res.error || 'Score failed');
+    });
+  }
+
+  // bar fills towards whichever deadline comes first
+  function timerProgress(){
+    const { deadline, graceDeadline, timeLimit, graceSeconds } = timing;
+    let at = deadline, total = timeLimit;
+    if(graceDeadline && (!deadline || graceDeadline < deadline)){ at = graceDeadline; total = graceSeconds; }
+    if(!at || !total) return 0;
+    return Math.min(100, Math.max(0, 100 - ((at - now) / (total * 1000)) * 100));
+  }
+
+  function isDoubleRound(){
+    return !!(room && room.scoring && room.scoring.doubleFinalRound && round === totalRounds);
   }
 
   function isHost(){
-    return room && room.hostSocket === socket.id;
+    return room && playerId && room.hostId === playerId;
+  }
+
+  // team mode: teams with their members and combined points, best first (null when everyone plays alone)
+  function teamStandings(){
+    if(!room || !room.teamMode) return null;
+    return (room.teams || []).map(team => {
+      const members = players.filter(p => p.team === team);
+      return { team, members, score: members.reduce((n, p) => n + (p.score || 0), 0) };
+    }).sort((a, b) => b.score - a.score);
+  }
+
+  // host team setup (lobby)
+  function toggleTeamMode(){
+    socket.emit('setTeamMode', { roomId, enabled: !room.teamMode, teamCount: room.teams?.length || teamCount }, res => {
+      if(!res?.ok) alert(res?.error || 'Action failed');
+    });
+  }
+  function assignTeam(p, team){
+    socket.emit('assignTeam', { roomId, targetPlayerId: p.playerId, team }, res => {
+      if(!res?.ok) alert(res?.error || 'Action failed');
+    });
+  }
+  // practice: host adds a computer player (removed again with Kick)
+  function addBot(){
+    socket.emit('addBot', { roomId, difficulty: botDifficulty }, res => {
+      if(!res?.ok) alert(res?.error || 'Could not add a bot');
+    });
+  }
+  function balanceTeams(){
+    socket.emit('balanceTeams', { roomId }, res => {
+      if(!res?.ok) alert(res?.error || 'Action failed');
+    });
   }
 
   function nextRoundByHost(){
@@ -135,36 +526,241 @@ export default function App(){
     });
   }
 
+  function rematch(){
+    socket.emit('rematch', { roomId }, res => {
+      if(!res?.ok) alert(res?.error || 'Rematch failed');
+    });
+  }
+
   function restart(){
-    setStage('home'); setRoom(null); setPlayers([]); setRound(0); setLetter('-'); setRoundResults(null);
+    clearSession();
+    setStage('home'); setRoom(null); setPlayerId(null); setSpectating(false); setPlayers([]); setRound(0); setLetter('-'); setRoundResults(null); setChat([]);
+  }
+
+  // host moderation
+  function kickPlayer(p){
+    if(!window.confirm(`Remove ${p.name} from the room?`)) return;
+    socket.emit('kickPlayer', { roomId, targetPlayerId: p.playerId }, res => {
+      if(!res?.ok) alert(res?.error || 'Kick failed');
+    });
+  }
+  function banPlayer(p){
+    if(!window.confirm(`Ban ${p.name} from this room? They won't be able to rejoin.`)) return;
+    socket.emit('banPlayer', { roomId, targetPlayerId: p.playerId }, res => {
+      if(!res?.ok) alert(res?.error || 'Ban failed');
+    });
+  }
+  function transferHost(p){
+    if(!window.confirm(`Make ${p.name} the host?`)) return;
+    socket.emit('transferHost', { roomId, targetPlayerId: p.playerId }, res => {
+      if(!res?.ok) alert(res?.error || 'Transfer failed');
+    });
+  }
+  function toggleLock(){
+    socket.emit('lockRoom', { roomId, locked: !room.locked }, res => {
+      if(!res?.ok) alert(res?.error || 'Lock failed');
+    });
+  }
+  function toggleMute(p){
+    socket.emit('mutePlayer', { roomId, targetPlayerId: p.playerId, muted: !isMuted(p.playerId) }, res => {
+      if(!res?.ok) alert(res?.error || 'Mute failed');
+    });
+  }
+  function toggleProfanityFilter(){
+    socket.emit('setProfanityFilter', { roomId, enabled: !room.profanityFilter }, res => {
+      if(!res?.ok) alert(res?.error || 'Action failed');
+    });
+  }
+  function togglePause(){
+    socket.emit(room.paused ? 'resumeGame' : 'pauseGame', { roomId }, res => {
+      if(!res?.ok) alert(res?.error || 'Pause failed');
+    });
+  }
+
+  function isMuted(pid){
+    return !!(room && room.mutedPlayerIds && room.mutedPlayerIds.includes(pid));
+  }
+
+  // chat (players only, closed while a round is being answered)
+  function sendChat(e){
+    e.preventDefault();
+    const text = chatText.trim();
+    if(!text) return;
+    socket.emit('chatMessage', { roomId, text }, res => {
+      if(!res?.ok) return alert(res?.error || 'Message not sent');
+      setChatText('');
+    });
+  }
+
+  // toggle my emoji reaction on an answer in the results
+  function reactAnswer(targetPlayerId, category, emoji) {
+    socket.emit('reactAnswer', { roomId, round: roundResults.round, targetPlayerId, category, emoji }, res => {
+      if (res && !res.ok) alert(res.error || 'Reaction failed');
+    });
   }
 
   // host invalidation toggle
-  function invalidateAnswer(targetSocketId, category, invalidate) {
+  function invalidateAnswer(targetPlayerId, category, invalidate) {
     if (!room) return;
-    socket.emit('invalidateAnswer', { roomId, round, targetSocketId, category, invalidate }, res => {
+    const reason = window.prompt(invalidate ? 'Why is this answer invalid? (optional)' : 'Why restore this answer? (optional)', '');
+    if (reason === null) return;
+    socket.emit('invalidateAnswer', { roomId, round, targetPlayerId, category, invalidate, reason: reason.trim() || undefined }, res => {
       if (res && !res.ok) alert(res.error || 'Action failed');
       // server will emit updated 'roundScored' and 'roomUpdate'
     });
   }
 
+  // peer review: challenge an answer / vote on an open challenge
+  function challengeAnswer(targetPlayerId, category) {
+    socket.emit('challengeAnswer', { roomId, round, targetPlayerId, category }, res => {
+      if (res && !res.ok) alert(res.error || 'Challenge failed');
+    });
+  }
+  function voteAnswer(targetPlayerId, category, vote) {
+    socket.emit('voteAnswer', { roomId, round, targetPlayerId, category, vote }, res => {
+      if (res && !res.ok) alert(res.error || 'Vote failed');
+    });
+  }
+
+  // host: split an answer out of a merged group (or merge it back)
+  function splitAnswer(targetPlayerId, category, split) {
+    socket.emit('splitAnswer', { roomId, round, targetPlayerId, category, split }, res => {
+      if (res && !res.ok) alert(res.error || 'Action failed');
+    });
+  }
+
+  // "merged with ..." note when this answer was grouped with differently spelled ones
+  function renderMerge(targetPlayerId, category, val) {
+    const entry = (roundResults.answers && roundResults.answers[targetPlayerId]) || {};
+    const btn = { padding:'4px 8px', fontSize:12 };
+    if (entry.unmerged && entry.unmerged[category]) {
+      return (
+        <span className="mergeNote">
+          kept separate
+          {isHost() && <button className="btn" style={btn} onClick={() => splitAnswer(targetPlayerId, category, false)}>Re-merge</button>}
+        </span>
+      );
+    }
+    const text = (val || '').trim().toLowerCase();
+    const group = ((roundResults.merges && roundResults.merges[category]) || []).find(m => m.variants.includes(text));
+    if (!group) return null;
+    return (
+      <span className="mergeNote">
+        ≈ {group.variants.filter(v => v !== text).join(', ')}
+        {isHost() && <button className="btn" style={btn} onClick={() => splitAnswer(targetPlayerId, category, true)}>Split</button>}
+      </span>
+    );
+  }
+
+  // dictionary verdict badge; unknown answers are what the host should look at in advisory mode
+  function renderVerdict(targetPlayerId, category) {
+    const verdict = roundResults.verdicts && roundResults.verdicts[targetPlayerId] && roundResults.verdicts[targetPlayerId][category];
+    if (verdict === 'verified') return <span className="verdict verified" title="Found in word list">✓</span>;
+    if (verdict === 'unknown') {
+      const strict = roundResults.validationMode === 'strict';
+      return <span className="verdict unknown">{strict ? 'not in word list (0 pts)' : 'not in word list'}</span>;
+    }
+    return null;
+  }
+
+  // latest host / vote decision on an answer: "invalidated by Sam: not a real city"
+  function renderReview(targetPlayerId, category) {
+    const entry = (roundResults.answers && roundResults.answers[targetPlayerId]) || {};
+    const log = entry.reviews && entry.reviews[category];
+    if (!log || !log.length) return null;
+    const last = log[log.length - 1];
+    const who = last.source === 'vote' ? 'vote' : `host ${last.byName || ''}`.trim();
+    const what = last.action === 'invalidate' ? 'invalidated' : 'restored';
+    return (
+      <span className={`reviewNote ${last.action}`} title={new Date(last.at).toLocaleTimeString()}>
+        {what} by {who}{last.reason ? `: ${last.reason}` : ''}
+      </span>
+    );
+  }
+
+  // reaction buttons with counts for one answer (mine highlighted)
+  function renderReactions(targetPlayerId, category, val) {
+    if (!val || val === '-') return null;
+    const entry = (roundResults.answers && roundResults.answers[targetPlayerId]) || {};
+    const counts = (entry.reactions && entry.reactions[category]) || {};
+    return (
+      <span className="reactions">
+        {REACTIONS.map(emoji => {
+          const who = counts[emoji] || [];
+          if (spectating && !who.length) return null;
+          return (
+            <button
+              key={emoji}
+              className={`reaction${who.includes(playerId) ? ' mine' : ''}`}
+              disabled={spectating}
+              onClick={() => reactAnswer(targetPlayerId, category, emoji)}
+            >
+              {emoji}{who.length > 0 && <span className="count">{who.length}</span>}
+            </button>
+          );
+        })}
+      </span>
+    );
+  }
+
+  // challenge / vote controls + tallies for one answer in the results view
+  function renderChallenge(targetPlayerId, category, val) {
+    const entry = (roundResults.answers && roundResults.answers[targetPlayerId]) || {};
+    const ch = entry.challenges && entry.challenges[category];
+    const mine = targetPlayerId === playerId;
+    const btn = { padding:'4px 8px', fontSize:12 };
+
+    if (!ch) {
+      if (mine || spectating || !val || val === '-') return null;
+      return <button className="btn" style={btn} onClick={() => challengeAnswer(targetPlayerId, category)}>Challenge</button>;
+    }
+
+    const tally = ch.tally || Object.values(ch.votes || {}).reduce((t, v) => ({ ...t, [v]: (t[v] || 0) + 1 }), { accept:0, reject:0 });
+    if (ch.resolved) {
+      const label = ch.outcome === 'host' ? 'host decided' : ch.outcome;
+      return <span className="voteTally">Vote {label}: ✔ {tally.accept} / ✖ {tally.reject}</span>;
+    }
+
+    const left = Math.max(0, Math.ceil((ch.deadline - clockOffset.current - now) / 1000));
+    const voted = ch.votes && ch.votes[playerId];
+    return (
+      <span className="voteTally">
+        Disputed: ✔ {tally.accept} / ✖ {tally.reject}{ch.minRejects > 1 && ` (${ch.minRejects} ✖ needed)`} · {left}s
+        {!mine && !spectating && !voted && (
+          <>
+            <button className="btn" style={btn} onClick={() => voteAnswer(targetPlayerId, category, 'accept')}>Accept</button>
+            <button className="btn" style={btn} onClick={() => voteAnswer(targetPlayerId, category, 'reject')}>Reject</button>
+          </>
+        )}
+      </span>
+    );
+  }
+
   // download CSV (host)
-  async function downloadAnswersCSV() {
+  // the export needs a short-lived download token that only the host can get
+  function requestExportToken() {
+    return new Promise((resolve, reject) => {
+      socket.emit('requestExport', { roomId }, res => res?.ok ? resolve(res.token) : reject(new Error(res?.error || 'Export not allowed')));
+    });
+  }
+
+  async function downloadExport({ format, file }) {
     try {
-      const url = `${SERVER.replace(/\/$/, '')}/export/${roomId}`;
+      const token = await requestExportToken();
+      const url = `${SERVER.replace(/\/$/, '')}/export/${encodeURIComponent(roomId)}?format=${format}&token=${token}`;
       const resp = await fetch(url);
-      if (!resp.ok) return alert('Export failed');
+      if (!resp.ok) return alert(resp.status === 403 ? 'Only the host can export answers' : 'Export failed');
       const blob = await resp.blob();
       const link = document.createElement('a');
       link.href = URL.createObjectURL(blob);
-      link.download = `alpharush_${roomId}_answers.csv`;
+      link.download = `alpharush_${roomId}_${file}`;
       document.body.appendChild(link);
       link.click();
       link.remove();
       URL.revokeObjectURL(link.href);
     } catch (e) {
       console.error(e);
-      alert('Export error');
+      alert(e.message || 'Export error');
     }
   }
 
@@ -174,7 +770,7 @@ export default function App(){
       <div className="header">
         <div>
           <h1>AlphaRush Arena</h1>
-          <div className="small">Mobile-first • 26 rounds • Max players {process.env.REACT_APP_MAX_PLAYERS || 8}</div>
+          <div className="small">Mobile-first • {room?.totalRounds || totalRounds} rounds • Max players {process.env.REACT_APP_MAX_PLAYERS || 8}</div>
         </div>
         <div className="small">Round: <strong>{round}</strong> | Letter: <span className="score">{letter}</span></div>
       </div>
@@ -185,12 +781,128 @@ export default function App(){
           {/* HOME */}
           {stage === 'home' && (
             <div className="card center" style={{ maxWidth:480, margin:'0 auto' }}>
-              <input className="input" placeholder="Your name" value={name} onChange={e=>setName(e.target.value)} />
-              <input className="input" placeholder="Room ID (like ABC1)" value={roomId} onChange={e=>setRoomId(e.target.value)} />
+              <input className="input" placeholder="Your name" value={name} maxLength={MAX_NAME_LENGTH} onChange={e=>setName(e.target.value)} />
+              <input className="input" placeholder="Room ID (leave empty for a new code)" value={roomId} onChange={e=>setRoomId(e.target.value)} />
+              <input className="input" type="password" placeholder="Room password (optional)" value={password} onChange={e=>setPassword(e.target.value)} />
               <div style={{ display:'flex', gap:8, justifyContent:'center', marginTop:10 }}>
                 <button className="btn btn-primary" onClick={createRoom}>Create Room</button>
-                <button className="btn" onClick={joinRoom}>Join Room</button>
+                <button className="btn" onClick={() => joinRoom()}>Join Room</button>
+                <button className="btn" onClick={spectateRoom}>Watch</button>
               </div>
+
+              <div style={{ marginTop:14, textAlign:'left' }}>
+                <div className="row" style={{ justifyContent:'space-between' }}>
+                  <div className="small">Open rooms</div>
+                  <div className="row">
+                    <button className="btn" style={{ padding:'4px 8px', fontSize:12 }} onClick={loadRooms}>Refresh</button>
+                    <button className="btn btn-primary" style={{ padding:'4px 8px', fontSize:12 }} onClick={quickJoin}>Quick join</button>
+                  </div>
+                </div>
+                {openRooms.length === 0 && <div className="small" style={{ marginTop:6 }}>No public rooms yet.</div>}
+                <div className="roomList">
+                  {openRooms.map(r => (
+                    <div key={r.roomId} className="roomListItem">
+                      <div>
+                        <div><strong>{r.roomId}</strong>{r.passwordProtected && <span title="Password protected"> 🔒</span>}</div>
+                        <div className="small">
+                          Host {r.host || '—'} • {r.players}/{r.maxPlayers} players • {STAGE_LABELS[r.stage] || r.stage}{r.stage !== 'lobby' && ` (round ${r.round}/${r.rounds})`}
+                        </div>
+                      </div>
+                      <button className="btn" style={{ padding:'4px 8px', fontSize:12 }} disabled={r.players >= r.maxPlayers} onClick={() => joinListedRoom(r)}>
+                        {r.players >= r.maxPlayers ? 'Full' : 'Join'}
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              </div>
+
+              <div style={{ marginTop:14, textAlign:'left' }}>
+                <div className="small">Categories (for new rooms{config && `, ${config.minCategories}-${config.maxCategories}`})</div>
+                <div className="players">
+                  {[...CATEGORY_PRESETS, ...pickedCategories.filter(c => !CATEGORY_PRESETS.includes(c))].map(c => (
+                    <button key={c} className={`playerChip chipToggle${pickedCategories.includes(c) ? ' active' : ''}`} onClick={() => toggleCategory(c)}>{c}</button>
+                  ))}
+                </div>
+                <div className="row" style={{ marginTop:8 }}>
+                  <input className="input" placeholder="Custom category" value={customCategory} maxLength={24} onChange={e=>setCustomCategory(e.target.value)} onKeyDown={e => e.key === 'Enter' && addCustomCategory()} />
+                  <button className="btn" onClick={addCustomCategory}>Add</button>
+                </div>
+              </div>
+
+              <div className="row" style={{ marginTop:10 }}>
+                <div className="small">Time per round</div>
+                <select className="input" style={{ width:'auto' }} value={timeLimit} onChange={e=>setTimeLimit(parseInt(e.target.value, 10))}>
+                  {TIME_LIMIT_OPTIONS.map(t => <option key={t} value={t}>{t ? `${t}s` : 'No limit'}</option>)}
+                </select>
+              </div>
+
+              <div className="row" style={{ marginTop:8 }}>
+                <div className="small">Same-answer matching</div>
+                <select className="input" style={{ width:'auto' }} value={fuzzyThreshold} onChange={e=>setFuzzyThreshold(parseInt(e.target.value, 10))}>
+                  {FUZZY_OPTIONS.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+                </select>
+              </div>
+
+              <div className="row" style={{ marginTop:8 }}>
+                <div className="small">Dictionary check</div>
+                <select className="input" style={{ width:'auto' }} value={validationMode} onChange={e=>setValidationMode(e.target.value)}>
+                  {VALIDATION_MODES.map(m => <option key={m.value} value={m.value}>{m.label}</option>)}
+                </select>
+              </div>
+
+              <div className="row" style={{ marginTop:8 }}>
+                <div className="small">Rounds</div>
+                <input className="input" type="number" min={1} max={alphabetOf(alphabet).letters.length} placeholder="one per letter" style={{ width:140 }} value={roundsWanted} onChange={e=>setRoundsWanted(e.target.value)} />
+                <select className="input" style={{ width:'auto' }} value={alphabet} onChange={e=>changeAlphabet(e.target.value)}>
+                  {(config ? config.alphabets : []).map(a => <option key={a.value} value={a.value}>{a.label} alphabet</option>)}
+                </select>
+                <select className="input" style={{ width:'auto' }} value={letterPreset} onChange={e=>setLetterPreset(e.target.value)}>
+                  {(config ? config.letterPresets : ['all']).map(p => <option key={p} value={p}>{p === 'no-hard' ? `${LETTER_PRESET_LABELS[p]} (${alphabetOf(alphabet).hard.join(' ')})` : (LETTER_PRESET_LABELS[p] || p)}</option>)}
+                </select>
+              </div>
+
+              <label className="small row" style={{ marginTop:8 }}>
+                <input type="checkbox" checked={visibility === 'public'} onChange={e => setVisibility(e.target.checked ? 'public' : 'private')} />
+                List new room in the public room browser
+              </label>
+
+              <div className="row" style={{ marginTop:8 }}>
+                <label className="small row">
+                  <input type="checkbox" checked={teamMode} onChange={e => setTeamMode(e.target.checked)} />
+                  Team mode
+                </label>
+                {teamMode && (
+                  <select className="input" style={{ width:'auto' }} value={teamCount} onChange={e=>setTeamCount(parseInt(e.target.value, 10))}>
+                    {TEAM_COUNTS.map(n => <option key={n} value={n}>{n} teams</option>)}
+                  </select>
+                )}
+              </div>
+
+              <details style={{ marginTop:8, textAlign:'left' }}>
+                <summary className="small">Exclude letters</summary>
+                <div className="players">
+                  {alphabetOf(alphabet).letters.map(l => (
+                    <button key={l} className={`playerChip chipToggle${isLetterExcluded(l) ? '' : ' active'}`} onClick={() => toggleLetter(l)}>{l}</button>
+                  ))}
+                </div>
+              </details>
+
+              <details style={{ marginTop:8, textAlign:'left' }}>
+                <summary className="small">Scoring rules</summary>
+                <div className="scoringGrid">
+                  {SCORING_FIELDS.map(f => (
+                    <label key={f.key} className="small">
+                      {f.label}
+                      <input className="input" type="number" min={0} max={100} value={scoring[f.key]}
+                        onChange={e => setScoring(sc => ({ ...sc, [f.key]: Math.max(0, parseInt(e.target.value, 10) || 0) }))} />
+                    </label>
+                  ))}
+                  <label className="small row">
+                    <input type="checkbox" checked={scoring.doubleFinalRound} onChange={e => setScoring(sc => ({ ...sc, doubleFinalRound: e.target.checked }))} />
+                    Double points in the final round
+                  </label>
+                </div>
+              </details>
             </div>
           )}
 
@@ -201,20 +913,75 @@ export default function App(){
                 <div>
                   <div className="small">Room</div>
                   <h2>{room.roomId}</h2>
-                  <div className="small">Host: {room.players?.[0]?.name}</div>
+                  <div className="small">Host: {room.players?.find(p => p.playerId === room.hostId)?.name}</div>
+                  {room.visibility === 'private' && <div className="small">Private room (not listed)</div>}
+                  {room.passwordProtected && <div className="small">Password protected</div>}
+                  {room.locked && <div className="small">🔒 Locked — no new players</div>}
+                  <div className="small">Categories: {categories.join(', ')}</div>
+                  <div className="small">Rounds: {room.totalRounds}{room.letterPool && config && room.letterPool.length < alphabetOf(room.alphabet).letters.length && ` • Letters: ${room.letterPool.join(' ')}`}</div>
+                  {room.alphabet && room.alphabet !== 'english' && <div className="small">Alphabet: {alphabetOf(room.alphabet).label}</div>}
+                  {room.timeLimit > 0 && <div className="small">Time per round: {room.timeLimit}s</div>}
+                  {room.validationMode && room.validationMode !== 'off' && <div className="small">Dictionary check: {room.validationMode}</div>}
+                  {room.scoring && (
+                    <div className="small">
+                      Points: unique {room.scoring.unique} • shared {room.scoring.shared} • only answer {room.scoring.onlyAnswer}
+                      {room.scoring.speedBonus > 0 && ` • first submit +${room.scoring.speedBonus}`}
+                      {room.scoring.invalidPenalty > 0 && ` • invalid −${room.scoring.invalidPenalty}`}
+                      {room.scoring.doubleFinalRound && ' • final round x2'}
+                    </div>
+                  )}
                 </div>
 
                 <div>
                   <div className="small">Players</div>
                   <div className="players">
-                    {players.map(p => <div key={p.socketId} className="playerChip">{p.name} <div className="small">({p.score||0})</div></div>)}
+                    {players.map(p => <div key={p.playerId} className={`playerChip${p.connected === false ? ' disconnected' : ''}`}>{p.playerId === room.hostId && '👑 '}{p.bot && '🤖 '}{p.name} <div className="small">({p.bot ? p.botDifficulty : p.score||0})</div></div>)}
                   </div>
+                  {room.spectators?.length > 0 && <div className="small" style={{ marginTop:6 }}>Watching: {room.spectators.map(w => w.name).join(', ')}</div>}
                 </div>
 
                 <div style={{ textAlign:'right' }}>
                   {isHost() ? <button className="btn btn-primary" onClick={startGame}>Start Game</button> : <div className="small">Waiting for host...</div>}
+                  {isHost() && <div style={{ marginTop:8 }}><button className="btn" onClick={toggleLock}>{room.locked ? 'Unlock Room' : 'Lock Room'}</button></div>}
+                  {isHost() && <div style={{ marginTop:8 }}><button className="btn" onClick={toggleProfanityFilter}>{room.profanityFilter ? 'Chat filter: on' : 'Chat filter: off'}</button></div>}
+                  {isHost() && (
+                    <div className="row" style={{ marginTop:8, justifyContent:'flex-end' }}>
+                      <select className="input" style={{ width:'auto' }} value={botDifficulty} onChange={e => setBotDifficulty(e.target.value)}>
+                        {BOT_DIFFICULTIES.map(d => <option key={d} value={d}>{d}</option>)}
+                      </select>
+                      <button className="btn" onClick={addBot}>Add bot</button>
+                    </div>
+                  )}
+                  {isHost() && (
+                    <div style={{ marginTop:8 }}>
+                      <button className="btn" onClick={toggleTeamMode}>{room.teamMode ? 'Team mode: on' : 'Team mode: off'}</button>
+                      {room.teamMode && <button className="btn" style={{ marginLeft:6 }} onClick={balanceTeams}>Auto-balance</button>}
+                    </div>
+                  )}
+                  <div className="small" style={{ marginTop:8 }}><a href={`/present/${encodeURIComponent(room.roomId)}`} target="_blank" rel="noreferrer" style={{ color:'inherit' }}>Open presenter view (TV)</a></div>
                 </div>
               </div>
+
+              {room.teamMode && (
+                <div className="teams">
+                  {teamStandings().map(t => (
+                    <div key={t.team} className={`teamColumn team-${t.team.toLowerCase()}`}>
+                      <div className="teamName">{t.team}</div>
+                      {t.members.map(p => (
+                        <div key={p.playerId} className="row small">
+                          <span>{p.playerId === room.hostId && '👑 '}{p.bot && '🤖 '}{p.name}</span>
+                          {isHost() && (
+                            <select className="input teamSelect" value={p.team} onChange={e => assignTeam(p, e.target.value)}>
+                              {room.teams.map(team => <option key={team} value={team}>{team}</option>)}
+                            </select>
+                          )}
+                        </div>
+                      ))}
+                      {t.members.length === 0 && <div className="small">No players yet</div>}
+                    </div>
+                  ))}
+                </div>
+              )}
             </div>
           )}
 
@@ -222,27 +989,49 @@ export default function App(){
           {stage === 'playing' && (
             <div className="card center">
               <div>
-                <div className="roundBadge small">Round {round} / 26</div>
+                <div className="roundBadge small">Round {round} / {totalRounds}</div>
+                {isDoubleRound() && <div className="doubleBadge">Double points!</div>}
                 <div className="bigLetter">{letter}</div>
+                {room?.paused && <div className="pausedBanner">Paused by the host</div>}
               </div>
 
               <div style={{ marginTop:12, maxWidth:720, marginLeft:'auto', marginRight:'auto' }}>
-                <div className="grid-2">
-                  {['Name','City','Thing','Animal'].map(k => (
-                    <input key={k} className="input" placeholder={k} value={answers[k]} onChange={e => handleChange(k, e.target.value)} />
+                {spectating ? (
+                  <div className="small">Watching — categories: {categories.join(', ')}</div>
+                ) : (
+                  <div className="grid-2">
+                    {categories.map(k => (
+                      <input key={k} className="input" placeholder={k} value={answers[k] || ''} maxLength={MAX_ANSWER_LENGTH} disabled={submitted || !!room?.paused} onChange={e => handleChange(k, e.target.value)} />
+                    ))}
+                  </div>
+                )}
+
+                <div className="players submissionTracker">
+                  {players.map(p => (
+                    <div key={p.playerId} className={`playerChip ${submittedIds.includes(p.playerId) ? 'done' : ''}`}>
+                      {submittedIds.includes(p.playerId) ? '✓ ' : ''}{p.name}
+                    </div>
                   ))}
                 </div>
 
                 <div style={{ display:'flex', justifyContent:'center', gap:8, marginTop:12 }}>
-                  {!submitted ? <button className="btn btn-primary" onClick={submitAnswers}>Submit</button> : <div className="small">You submitted — waiting...</div>}
-                  {grace > 0 && (
+                  {spectating ? null : !submitted ? <button className="btn btn-primary" disabled={!!room?.paused} onClick={submitAnswers}>Submit</button> : <div className="small">You submitted — waiting...</div>}
+                  {isHost() && <button className="btn" onClick={togglePause}>{room?.paused ? 'Resume (Host)' : 'Pause (Host)'}</button>}
+                  {isHost() && <button className="btn" onClick={rerollLetter}>Skip Letter (Host)</button>}
+                  {isHost() && <button className="btn" onClick={forceScoreByHost}>End Round (Host)</button>}
+                  {timing.deadline && (
+                    <div className="small" style={{ fontWeight:'bold' }}>
+                      Time left: {secondsLeft(timing.deadline)}s
+                    </div>
+                  )}
+                  {timing.graceDeadline && (
                     <div className="small" style={{ fontWeight:'bold', color:'#22c55e' }}>
-                      Countdown: {grace}s
+                      Countdown: {secondsLeft(timing.graceDeadline)}s
                     </div>
                   )}
                 </div>
 
-                <div className="timerBar"><div className="timerFill" style={{ width: `${(10 - grace) * 10}%` }} /></div>
+                <div className="timerBar"><div className="timerFill" style={{ width: `${timerProgress()}%` }} /></div>
               </div>
             </div>
           )}
@@ -251,19 +1040,30 @@ export default function App(){
           {stage === 'results' && roundResults && (
             <div className="card">
               <h2 className="center">Round {roundResults.round} Results</h2>
+              {roundResults.teamRoundScores && (
+                <div className="teams">
+                  {(roundResults.teamTotals || []).map(t => (
+                    <div key={t.team} className={`teamColumn team-${t.team.toLowerCase()}`}>
+                      <div className="teamName">{t.team}</div>
+                      <div className="score">+{roundResults.teamRoundScores[t.team] || 0}</div>
+                      <div className="small">{t.score} pts total</div>
+                    </div>
+                  ))}
+                </div>
+              )}
               <div style={{ marginTop:8 }}>
                 <div style={{ display:'grid', gap:8 }}>
                   {roundResults.totals.map(p => {
-                    const pts = (roundResults.roundScores && roundResults.roundScores[p.socketId]) || 0;
-                    const ansObj = (roundResults.answers && roundResults.answers[p.socketId] && roundResults.answers[p.socketId].answers) || {};
+                    const pts = (roundResults.roundScores && roundResults.roundScores[p.playerId]) || 0;
+                    const ansObj = (roundResults.answers && roundResults.answers[p.playerId] && roundResults.answers[p.playerId].answers) || {};
                     return (
-                      <div key={p.socketId} className="resultsGrid card" style={{ padding:10 }}>
+                      <div key={p.playerId} className="resultsGrid card" style={{ padding:10 }}>
                         <div>
-                          <div style={{ fontWeight:700 }}>{p.name}</div>
+                          <div style={{ fontWeight:700 }}>{p.bot && <span title="Computer player">🤖 </span>}{p.name}{p.team && <span className={`teamTag team-${p.team.toLowerCase()}`}>{p.team}</span>}</div>
 
-                          {['Name','City','Thing','Animal'].map(k => {
+                          {(roundResults.categories || categories).map(k => {
                             const val = ansObj[k] || '-';
-                            const invalidFlag = (roundResults.answers && roundResults.answers[p.socketId] && roundResults.answers[p.socketId].invalid && roundResults.answers[p.socketId].invalid[k]) || false;
+                            const invalidFlag = (roundResults.answers && roundResults.answers[p.playerId] && roundResults.answers[p.playerId].invalid && roundResults.answers[p.playerId].invalid[k]) || false;
                             return (
                               <div key={k} className="small" style={{ display:'flex', alignItems:'center', gap:8 }}>
                                 <div style={{ textDecoration: invalidFlag ? 'line-through' : 'none', opacity: invalidFlag ? 0.55 : 1 }}>
@@ -274,11 +1074,21 @@ export default function App(){
                                   <button
                                     className="btn"
                                     style={{ padding:'4px 8px', fontSize:12 }}
-                                    onClick={() => invalidateAnswer(p.socketId, k, !invalidFlag)}
+                                    onClick={() => invalidateAnswer(p.playerId, k, !invalidFlag)}
                                   >
                                     {invalidFlag ? 'Undo' : 'Invalidate'}
                                   </button>
                                 )}
+
+                                {renderReview(p.playerId, k)}
+
+                                {renderVerdict(p.playerId, k)}
+
+                                {renderMerge(p.playerId, k, val)}
+
+                                {renderChallenge(p.playerId, k, val)}
+
+                                {renderReactions(p.playerId, k, val)}
                               </div>
                             );
                           })}
@@ -303,19 +1113,33 @@ export default function App(){
           {stage === 'final' && (
             <div className="card center">
               <h2>🏆 Final Leaderboard</h2>
+              {teamStandings() && (
+                <div className="teams">
+                  {teamStandings().map((t, i) => (
+                    <div key={t.team} className={`teamColumn team-${t.team.toLowerCase()}`}>
+                      <div className="teamName">#{i+1} {t.team}</div>
+                      <div className="score">{t.score} pts</div>
+                      {t.members.map(p => <div key={p.playerId} className="small">{p.name}: {p.score || 0}</div>)}
+                    </div>
+                  ))}
+                </div>
+              )}
               <div className="leaderboard" style={{ marginTop:10 }}>
                 {players.slice().sort((a,b)=>b.score - a.score).map((p,i)=>(
-                  <div key={p.name} className="leaderboard-item">
+                  <div key={p.playerId || p.name} className="leaderboard-item">
                     <div className="rank">#{i+1}</div>
-                    <div className="name">{p.name}</div>
+                    <div className="name">{p.bot && <span title="Computer player">🤖 </span>}{p.name}</div>
                     <div className="points">{p.score} pts</div>
                   </div>
                 ))}
               </div>
 
               <div style={{ marginTop:12 }}>
+                {isHost() && <button className="btn btn-primary" onClick={rematch} style={{ marginRight: 8 }}>Rematch</button>}
                 <button className="btn" onClick={restart}>Exit / Restart</button>
-                {isHost() && <button className="btn btn-primary" onClick={downloadAnswersCSV} style={{ marginLeft: 8 }}>Download Answers CSV</button>}
+                {isHost() && EXPORT_FORMATS.map(f => (
+                  <button key={f.format} className="btn btn-primary" onClick={() => downloadExport(f)} style={{ marginLeft: 8 }}>Download {f.label}</button>
+                ))}
               </div>
             </div>
           )}
@@ -326,15 +1150,58 @@ export default function App(){
           {(stage === 'lobby' || stage === 'playing' || stage === 'results') && (
             <div className="leaderboard" style={{ position: 'sticky', top: 80 }}>
               <h3>Leaderboard</h3>
+              {teamStandings() && teamStandings().map(t => (
+                <div key={t.team} className={`leaderboard-item teamRow team-${t.team.toLowerCase()}`}>
+                  <div className="name">{t.team}</div>
+                  <div className="points">{t.score} pts</div>
+                </div>
+              ))}
               {players.slice().sort((a,b)=>b.score - a.score).map((p,i) => (
-                <div key={p.socketId || p.name} className="leaderboard-item" title={`${p.name}`}>
+                <div key={p.playerId || p.name} className={`leaderboard-item${p.connected === false ? ' disconnected' : ''}`} title={`${p.name}`}>
                   <div className="rank">{i+1}</div>
-                  <div className="name">{p.name}</div>
+                  <div className="name">{room && p.playerId === room.hostId && <span title="Host">👑 </span>}{p.bot && <span title="Computer player">🤖 </span>}{p.name}{p.team && <span className={`teamTag team-${p.team.toLowerCase()}`}>{p.team}</span>}{p.connected === false && <span className="small"> (disconnected)</span>}</div>
                   <div className="points">{p.score || 0} pts</div>
+                  {isHost() && p.playerId !== playerId && (
+                    <div className="modActions">
+                      {!p.bot && <button className="btn" title="Make host" onClick={() => transferHost(p)}>👑</button>}
+                      {!p.bot && <button className="btn" title={isMuted(p.playerId) ? 'Unmute in chat' : 'Mute in chat'} onClick={() => toggleMute(p)}>{isMuted(p.playerId) ? '🔈' : '🔇'}</button>}
+                      <button className="btn" title={p.bot ? 'Remove bot' : 'Kick'} onClick={() => kickPlayer(p)}>{p.bot ? 'Remove' : 'Kick'}</button>
+                      {!p.bot && <button className="btn" title="Ban" onClick={() => banPlayer(p)}>Ban</button>}
+                    </div>
+                  )}
                 </div>
               ))}
             </div>
           )}
+
+          {/* CHAT */}
+          {(stage === 'lobby' || stage === 'playing' || stage === 'results') && (
+            <div className="chat">
+              <h3>Chat</h3>
+              <div className="chatMessages" ref={chatBox}>
+                {chat.map(m => (
+                  <div key={m.id} className="chatMessage" title={new Date(m.at).toLocaleTimeString()}>
+                    <span className="name">{m.name}</span> {m.text}
+                  </div>
+                ))}
+              </div>
+              {spectating ? (
+                <div className="small">Spectators can read the chat only</div>
+              ) : (
+                <form className="chatForm" onSubmit={sendChat}>
+                  <input
+                    className="input"
+                    maxLength={MAX_CHAT_LENGTH}
+                    value={chatText}
+                    disabled={stage === 'playing' || isMuted(playerId)}
+                    placeholder={stage === 'playing' ? 'Chat opens after the round' : isMuted(playerId) ? 'You are muted' : 'Say something...'}
+                    onChange={e => setChatText(e.target.value)}
+                  />
+                  <button className="btn" disabled={stage === 'playing' || isMuted(playerId)}>Send</button>
+                </form>
+              )}
+            </div>
+          )}
         </div>
       </div>
 
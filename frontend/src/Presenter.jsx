@@ -0,0 +1,284 @@
+import React, { useEffect, useState, useRef } from 'react';
+import { socket } from './socket';
+
+const REVEAL_MS = 2500; // time each category stays on screen before the next one is revealed
+
+// Big-screen presenter display (/present/:roomId): read-only, driven by the room's socket events
+export default function Presenter({ roomId }){
+  const [stage, setStage] = useState('connecting'); // connecting,lobby,playing,results,final
+  const [error, setError] = useState('');
+  const [room, setRoom] = useState(null);
+  const [players, setPlayers] = useState([]);
+  const [round, setRound] = useState(0);
+  const [totalRounds, setTotalRounds] = useState(26);
+  const [letter, setLetter] = useState('-');
+  const [categories, setCategories] = useState([]);
+  const [submittedIds, setSubmittedIds] = useState([]);
+  const [timing, setTiming] = useState({ deadline:null, graceDeadline:null, timeLimit:0, graceSeconds:10 });
+  const [now, setNow] = useState(Date.now());
+  const [results, setResults] = useState(null);
+  const [revealed, setRevealed] = useState(0); // categories revealed so far in the results
+  const clockOffset = useRef(0);
+  const password = useRef('');
+  const revealedRound = useRef(null);
+
+  useEffect(() => {
+    function present(){
+      socket.emit('presentRoom', { roomId, password: password.current }, res => {
+        if(res?.code === 'WRONG_PASSWORD'){
+          password.current = window.prompt('Room password') || '';
+          if(password.current) present();
+          else setError(res.error);
+          return;
+        }
+        if(!res?.ok) return setError(res?.error || 'Cannot present this room');
+        setError('');
+        setRoom(res.room);
+        setPlayers(res.room.players || []);
+        setCategories(res.categories || []);
+        setRound(res.round || 0);
+        if(res.rounds) setTotalRounds(res.rounds);
+        setLetter(res.letter || '-');
+        setSubmittedIds(res.submittedIds || []);
+        syncTiming(res);
+        if(res.gameOver) setStage('final');
+        else if(res.round > 0 && !res.scored) setStage('playing');
+        else if(!res.round) setStage('lobby');
+        // scored round: the server follows up with 'roundScored'
+      });
+    }
+
+    socket.on('connect', present);
+    if(socket.connected) present();
+
+    socket.on('roomUpdate', r => {
+      setRoom(r);
+      setPlayers(r.players || []);
+    });
+
+    socket.on('roundStarted', ({ round, letter, rounds, categories: cats, ...t }) => {
+      setRound(round);
+      setLetter(letter);
+      if(rounds) setTotalRounds(rounds);
+      if(cats && cats.length) setCategories(cats);
+      setSubmittedIds([]);
+      setResults(null);
+      syncTiming(t);
+      setStage('playing');
+    });
+
+    socket.on('playerSubmitted', ({ playerId: who, ...t }) => {
+      setSubmittedIds(ids => ids.includes(who) ? ids : [...ids, who]);
+      syncTiming(t);
+    });
+
+    socket.on('roundScored', data => {
+      setPlayers(data.totals || []);
+      // re-scores (invalidations, votes) update the board without replaying the reveal
+      if(revealedRound.current !== data.round){
+        revealedRound.current = data.round;
+        setRevealed(0);
+      }
+      setResults(data);
+      setStage('results');
+    });
+
+    socket.on('gamePaused', t => syncTiming(t));
+
+    socket.on('gameOver', ({ totals }) => {
+      if(totals) setPlayers(totals);
+      setStage('final');
+    });
+
+    socket.on('rematchStarted', () => {
+      revealedRound.current = null;
+      setRound(0);
+      setLetter('-');
+      setResults(null);
+      setStage('lobby');
+    });
+
+    socket.on('roomClosed', () => setError('This room has closed'));
+
+    return () => {
+      socket.off('connect', present);
+      socket.off('roomUpdate');
+      socket.off('roundStarted');
+      socket.off('playerSubmitted');
+      socket.off('roundScored');
+      socket.off('gamePaused');
+      socket.off('gameOver');
+      socket.off('rematchStarted');
+      socket.off('roomClosed');
+    };
+  }, [roomId]);
+
+  // countdown clock
+  useEffect(() => {
+    if(stage !== 'playing') return;
+    const t = setInterval(() => setNow(Date.now()), 250);
+    return () => clearInterval(t);
+  }, [stage]);
+
+  // reveal the answers one category at a time
+  useEffect(() => {
+    if(stage !== 'results' || !results) return;
+    if(revealed >= results.categories.length) return;
+    const t = setTimeout(() => setRevealed(n => n + 1), revealed === 0 ? 600 : REVEAL_MS);
+    return () => clearTimeout(t);
+  }, [stage, results, revealed]);
+
+  function syncTiming({ deadline, graceDeadline, timeLimit, graceSeconds, serverTime }){
+    if(serverTime) clockOffset.current = serverTime - Date.now();
+    setTiming({
+      deadline: deadline ? deadline - clockOffset.current : null,
+      graceDeadline: graceDeadline ? graceDeadline - clockOffset.current : null,
+      timeLimit: timeLimit || 0,
+      graceSeconds: graceSeconds || 10
+    });
+    setNow(Date.now());
+  }
+
+  // the nearer of the round deadline and the grace countdown
+  function countdown(){
+    const { deadline, graceDeadline, timeLimit, graceSeconds } = timing;
+    if(graceDeadline && (!deadline || graceDeadline < deadline)) return { at: graceDeadline, total: graceSeconds, grace: true };
+    if(deadline) return { at: deadline, total: timeLimit, grace: false };
+    return null;
+  }
+
+  function renderAnswer(p, cat){
+    const entry = (results.answers && results.answers[p.playerId]) || {};
+    const val = (entry.answers && entry.answers[cat]) || '';
+    const invalid = entry.invalid && entry.invalid[cat];
+    const verdict = results.verdicts && results.verdicts[p.playerId] && results.verdicts[p.playerId][cat];
+    return (
+      <div key={p.playerId} className={`revealAnswer${invalid ? ' invalid' : ''}${!val ? ' empty' : ''}`}>
+        <span className="name">{p.name}</span>
+        <span className="answer">{val || '—'}</span>
+        {verdict === 'verified' && <span className="verdict verified">✓</span>}
+        {verdict === 'unknown' && <span className="verdict unknown">?</span>}
+      </div>
+    );
+  }
+
+  const standings = [...players].sort((a, b) => (b.score || 0) - (a.score || 0));
+  // team mode: teams by combined points of their members
+  const teamStandings = room && room.teamMode
+    ? (room.teams || []).map(team => ({ team, score: players.filter(p => p.team === team).reduce((n, p) => n + (p.score || 0), 0) })).sort((a, b) => b.score - a.score)
+    : null;
+  const clock = countdown();
+
+  return (
+    <div className="presenter">
+      <div className="presenterHeader">
+        <div className="roundBadge">Room {roomId}</div>
+        {round > 0 && stage !== 'final' && <div className="roundBadge">Round {round} / {totalRounds}</div>}
+      </div>
+
+      {error && <div className="presenterMain center"><h1>{error}</h1></div>}
+
+      {!error && (
+        <div className="presenterBody">
+          <div className="presenterMain">
+            {stage === 'connecting' && <h1 className="center">Connecting...</h1>}
+
+            {stage === 'lobby' && (
+              <div className="center">
+                <h1>Join room <span className="score">{roomId}</span></h1>
+                <div className="roundBadge">{players.length} player{players.length === 1 ? '' : 's'} waiting for the host</div>
+                {room && room.categories && room.categories.length > 0 && <div className="roundBadge">Categories: {room.categories.join(', ')}</div>}
+              </div>
+            )}
+
+            {stage === 'playing' && (
+              <div className="center">
+                <div className="presenterLetter">{letter}</div>
+                {room?.paused && <div className="pausedBanner">Paused</div>}
+                <div className="roundBadge">{categories.join(' • ')}</div>
+                {clock && (
+                  <div className={`presenterClock${clock.grace ? ' grace' : ''}`}>
+                    {Math.max(0, Math.ceil((clock.at - now) / 1000))}s
+                  </div>
+                )}
+                {clock && clock.total > 0 && (
+                  <div className="timerBar">
+                    <div className="timerFill" style={{ width: `${Math.min(100, Math.max(0, 100 - ((clock.at - now) / (clock.total * 1000)) * 100))}%` }} />
+                  </div>
+                )}
+                <div className="players submissionTracker">
+                  {players.map(p => (
+                    <div key={p.playerId} className={`playerChip ${submittedIds.includes(p.playerId) ? 'done' : ''}`}>
+                      {submittedIds.includes(p.playerId) ? '✓ ' : ''}{p.name}
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {stage === 'results' && results && (
+              <div>
+                <h1 className="center">Round {results.round} — <span className="score">{letter}</span></h1>
+                {results.categories.slice(0, revealed).map(cat => (
+                  <div key={cat} className="revealCategory">
+                    <h2>{cat}</h2>
+                    <div className="revealAnswers">
+                      {players.map(p => renderAnswer(p, cat))}
+                    </div>
+                  </div>
+                ))}
+                {revealed >= results.categories.length && (
+                  <div className="revealCategory">
+                    <h2>Points this round</h2>
+                    <div className="revealAnswers">
+                      {players.map(p => (
+                        <div key={p.playerId} className="revealAnswer">
+                          <span className="name">{p.name}</span>
+                          <span className="answer score">+{(results.roundScores && results.roundScores[p.playerId]) || 0}</span>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                )}
+              </div>
+            )}
+
+            {stage === 'final' && (
+              <div className="center">
+                <h1>Game over</h1>
+                {teamStandings ? (
+                  <>
+                    {teamStandings[0] && <div className="presenterLetter">Team {teamStandings[0].team}</div>}
+                    <div className="roundBadge">wins with {teamStandings[0] ? teamStandings[0].score : 0} points</div>
+                  </>
+                ) : (
+                  <>
+                    {standings[0] && <div className="presenterLetter">{standings[0].name}</div>}
+                    <div className="roundBadge">wins with {standings[0] ? standings[0].score || 0 : 0} points</div>
+                  </>
+                )}
+              </div>
+            )}
+          </div>
+
+          <div className="leaderboard presenterBoard">
+            <h3>Leaderboard</h3>
+            {teamStandings && teamStandings.map(t => (
+              <div key={t.team} className={`leaderboard-item teamRow team-${t.team.toLowerCase()}`}>
+                <span className="name">{t.team}</span>
+                <span className="points">{t.score}</span>
+              </div>
+            ))}
+            {standings.map((p, i) => (
+              <div key={p.playerId} className={`leaderboard-item${p.connected === false ? ' disconnected' : ''}`}>
+                <span className="rank">{i + 1}</span>
+                <span className="name">{p.bot && '🤖 '}{p.name}</span>
+                <span className="points">{p.score || 0}</span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
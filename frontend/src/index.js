@@ -1,7 +1,11 @@
 import React from 'react';
 import { createRoot } from 'react-dom/client';
 import App from './App';
+import Presenter from './Presenter';
 import './index.css';
 
+// /present/:roomId -> big-screen presenter display, everything else -> the game
+const present = window.location.pathname.match(/^\/present\/([^/]+)\/?$/);
+
 const root = createRoot(document.getElementById('root'));
-root.render(<App />);
+root.render(present ? <Presenter roomId={decodeURIComponent(present[1])} /> : <App />);
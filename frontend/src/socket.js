@@ -0,0 +1,5 @@
+import { io } from 'socket.io-client';
+
+// Auto-detect server (works for localhost and EC2 with public IP)
+export const SERVER = process.env.REACT_APP_SERVER || (window.location.hostname === 'localhost' ? 'http://localhost:5000' : `http://${window.location.hostname}:5000`);
+export const socket = io(SERVER, { transports: ['websocket','polling'] });